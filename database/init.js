@@ -1,6 +1,7 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
+const logger = require('../utils/logger');
 
 const DB_PATH = path.join(__dirname, '../data/chrome_vm.db');
 
@@ -12,6 +13,19 @@ if (!fs.existsSync(dataDir)) {
 
 const db = new sqlite3.Database(DB_PATH);
 
+// Add a column to an existing table; SQLite has no ADD COLUMN IF NOT EXISTS,
+// so the "duplicate column" error on already-migrated databases is ignored
+// onAdded runs only when the column is new, so backfills in it happen once
+const addColumn = (table, column, definition, onAdded) => {
+  db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, (err) => {
+    if (err && !/duplicate column name/i.test(err.message)) {
+      logger.error(`Failed to add column ${table}.${column}:`, err.message);
+    } else if (!err && onAdded) {
+      onAdded();
+    }
+  });
+};
+
 const initializeDatabase = () => {
   return new Promise((resolve, reject) => {
     db.serialize(() => {
@@ -32,13 +46,20 @@ const initializeDatabase = () => {
         )
       `);
 
+      // Registered agent servers: how to reach them, what they offer and
+      // what the health poller last saw
+      addColumn('servers', 'protocol', "TEXT DEFAULT 'https'");
+      addColumn('servers', 'capabilities', 'TEXT');
+      addColumn('servers', 'health_error', 'TEXT');
+      addColumn('servers', 'updated_at', 'DATETIME');
+
       // Create VMs table
       db.run(`
         CREATE TABLE IF NOT EXISTS vms (
           id TEXT PRIMARY KEY,
           name TEXT NOT NULL,
           server_id TEXT,
-          status TEXT NOT NULL DEFAULT 'initializing',
+          status TEXT NOT NULL DEFAULT 'provisioning',
           novnc_url TEXT,
           agent_url TEXT,
           public_ip TEXT,
@@ -51,6 +72,12 @@ const initializeDatabase = () => {
         )
       `);
 
+      addColumn('vms', 'provider', 'TEXT');
+      addColumn('vms', 'instance_type', 'TEXT');
+      addColumn('vms', 'container_id', 'TEXT');
+      addColumn('vms', 'updated_at', 'DATETIME');
+      addColumn('vms', 'labels', 'TEXT');
+
       // Create script jobs table
       db.run(`
         CREATE TABLE IF NOT EXISTS script_jobs (
@@ -69,6 +96,21 @@ const initializeDatabase = () => {
         )
       `);
 
+      addColumn('script_jobs', 'options', 'TEXT');
+      addColumn('script_jobs', 'script_id', 'TEXT');
+      addColumn('script_jobs', 'batch_id', 'TEXT');
+
+      // Create script batches table (one saved script run across many VMs)
+      db.run(`
+        CREATE TABLE IF NOT EXISTS script_batches (
+          id TEXT PRIMARY KEY,
+          script_id TEXT NOT NULL,
+          selector TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (script_id) REFERENCES scripts (id)
+        )
+      `);
+
       // Create scripts table (saved scripts)
       db.run(`
         CREATE TABLE IF NOT EXISTS scripts (
@@ -83,25 +125,247 @@ const initializeDatabase = () => {
         )
       `);
 
+      addColumn('scripts', 'params_schema', 'TEXT');
+      addColumn('scripts', 'current_revision', 'INTEGER');
+      addColumn('script_jobs', 'script_revision', 'INTEGER');
+
+      // Create script revisions table (immutable history of saved scripts)
+      db.run(`
+        CREATE TABLE IF NOT EXISTS script_revisions (
+          id TEXT PRIMARY KEY,
+          script_id TEXT NOT NULL,
+          revision INTEGER NOT NULL,
+          name TEXT NOT NULL,
+          description TEXT,
+          script TEXT NOT NULL,
+          category TEXT,
+          params_schema TEXT,
+          message TEXT,
+          created_by TEXT DEFAULT 'system',
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (script_id, revision)
+        )
+      `);
+
+      // Create script schedules table (cron-triggered saved script runs)
+      db.run(`
+        CREATE TABLE IF NOT EXISTS script_schedules (
+          id TEXT PRIMARY KEY,
+          script_id TEXT NOT NULL,
+          name TEXT,
+          cron TEXT NOT NULL,
+          timezone TEXT DEFAULT 'UTC',
+          vm_ids TEXT,
+          selector TEXT,
+          params TEXT,
+          enabled INTEGER NOT NULL DEFAULT 1,
+          next_run_at DATETIME,
+          last_run_at DATETIME,
+          last_batch_id TEXT,
+          last_status TEXT,
+          last_error TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (script_id) REFERENCES scripts (id)
+        )
+      `);
+
+      // Create API keys table (only a SHA-256 hash of each key is stored)
+      db.run(`
+        CREATE TABLE IF NOT EXISTS api_keys (
+          id TEXT PRIMARY KEY,
+          name TEXT NOT NULL,
+          key_prefix TEXT NOT NULL,
+          key_hash TEXT NOT NULL UNIQUE,
+          scopes TEXT NOT NULL,
+          created_by TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          expires_at DATETIME,
+          last_used_at DATETIME,
+          revoked_at DATETIME
+        )
+      `);
+
+      // Create tenants table (each team sharing the deployment is a tenant)
+      db.run(`
+        CREATE TABLE IF NOT EXISTS tenants (
+          id TEXT PRIMARY KEY,
+          name TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      db.run(`INSERT OR IGNORE INTO tenants (id, name) VALUES ('default', 'Default')`);
+
+      // Tenant ownership. Rows created before tenants existed belong to the
+      // default tenant, except the seeded scripts, which stay shared (NULL).
+      // The backfill runs once, when the column is added: rows written later
+      // without a tenant (orphans the reconciler records, shared jobs) must
+      // stay unowned.
+      ['api_keys', 'script_jobs', 'script_batches', 'script_schedules'].forEach(table => {
+        addColumn(table, 'tenant_id', 'TEXT', () => {
+          db.run(`UPDATE ${table} SET tenant_id = 'default' WHERE tenant_id IS NULL`);
+        });
+      });
+      addColumn('vms', 'tenant_id', 'TEXT', () => {
+        db.run(`UPDATE vms SET tenant_id = 'default' WHERE tenant_id IS NULL`);
+      });
+      addColumn('vms', 'created_by', 'TEXT');
+      addColumn('scripts', 'tenant_id', 'TEXT', () => {
+        db.run(`
+          UPDATE scripts SET tenant_id = 'default'
+          WHERE tenant_id IS NULL AND id NOT IN ('basic-nav', 'form-fill', 'data-extract')
+        `);
+      });
+      addColumn('script_jobs', 'created_by', 'TEXT');
+      // Pool the VM is waiting in; idle warm pool VMs belong to no tenant
+      addColumn('vms', 'warm_pool', 'TEXT');
+
+      // Create tenant quotas table; NULL columns fall back to the QUOTA_* defaults
+      db.run(`
+        CREATE TABLE IF NOT EXISTS tenant_quotas (
+          tenant_id TEXT PRIMARY KEY,
+          max_vms INTEGER,
+          max_concurrent_jobs INTEGER,
+          allowed_instance_types TEXT,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (tenant_id) REFERENCES tenants (id)
+        )
+      `);
+
+      // Create Docker port assignments table (host ports held by Docker VMs)
+      db.run(`
+        CREATE TABLE IF NOT EXISTS docker_ports (
+          port INTEGER PRIMARY KEY,
+          vm_id TEXT NOT NULL,
+          purpose TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      // Create VM transitions table (audit trail of the VM state machine)
+      db.run(`
+        CREATE TABLE IF NOT EXISTS vm_transitions (
+          id TEXT PRIMARY KEY,
+          vm_id TEXT NOT NULL,
+          from_status TEXT,
+          to_status TEXT NOT NULL,
+          reason TEXT,
+          actor TEXT,
+          forced INTEGER NOT NULL DEFAULT 0,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      // Idle auto-stop and TTL policy; NULL idle_stop_minutes falls back to
+      // VM_IDLE_STOP_MINUTES, NULL expires_at never expires
+      addColumn('vms', 'idle_stop_minutes', 'INTEGER');
+      addColumn('vms', 'expires_at', 'DATETIME');
+
+      // Create warm pools table (idle VMs kept ready per provider and instance type)
+      db.run(`
+        CREATE TABLE IF NOT EXISTS warm_pools (
+          id TEXT PRIMARY KEY,
+          provider TEXT NOT NULL,
+          instance_type TEXT,
+          size INTEGER NOT NULL DEFAULT 0,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      // Create VM usage table (runtime intervals in billable states, with the
+      // hourly rate at the time)
+      db.run(`
+        CREATE TABLE IF NOT EXISTS vm_usage (
+          id TEXT PRIMARY KEY,
+          vm_id TEXT NOT NULL,
+          tenant_id TEXT,
+          server_id TEXT,
+          provider TEXT,
+          instance_type TEXT,
+          hourly_rate REAL,
+          started_at DATETIME NOT NULL,
+          ended_at DATETIME
+        )
+      `);
+
+      // Create VNC sessions table (short-lived viewer tokens; only a SHA-256
+      // hash of each token is stored)
+      db.run(`
+        CREATE TABLE IF NOT EXISTS vnc_sessions (
+          id TEXT PRIMARY KEY,
+          vm_id TEXT NOT NULL,
+          tenant_id TEXT,
+          token_hash TEXT UNIQUE NOT NULL,
+          created_by TEXT,
+          created_at DATETIME NOT NULL,
+          expires_at DATETIME NOT NULL,
+          revoked_at DATETIME,
+          last_connected_at DATETIME
+        )
+      `);
+
+      // Map statuses written before the state machine existed onto its states;
+      // ghosts and orphans keep their marker in metadata
+      db.run(`
+        UPDATE vms SET metadata = json_set(COALESCE(metadata, '{}'), '$.ghost_since', updated_at)
+        WHERE status = 'ghost' AND json_valid(COALESCE(metadata, '{}'))
+      `);
+      db.run(`
+        UPDATE vms SET metadata = json_set(COALESCE(metadata, '{}'), '$.orphaned', json('true'))
+        WHERE status = 'orphaned' AND json_valid(COALESCE(metadata, '{}'))
+      `);
+      db.run(`
+        UPDATE vms SET status = CASE status
+          WHEN 'initializing' THEN 'booting'
+          WHEN 'starting' THEN 'booting'
+          WHEN 'running' THEN 'ready'
+          WHEN 'mock' THEN 'ready'
+          WHEN 'orphaned' THEN 'ready'
+          ELSE 'error'
+        END
+        WHERE status NOT IN ('provisioning', 'booting', 'ready', 'busy', 'stopping', 'stopped', 'deleting', 'deleted', 'error')
+      `);
+
       // Create indexes
       db.run(`CREATE INDEX IF NOT EXISTS idx_vms_status ON vms (status)`);
       db.run(`CREATE INDEX IF NOT EXISTS idx_vms_created_at ON vms (created_at)`);
+      db.run(`CREATE INDEX IF NOT EXISTS idx_vms_provider ON vms (provider)`);
       db.run(`CREATE INDEX IF NOT EXISTS idx_script_jobs_vm_id ON script_jobs (vm_id)`);
       db.run(`CREATE INDEX IF NOT EXISTS idx_script_jobs_status ON script_jobs (status)`);
       db.run(`CREATE INDEX IF NOT EXISTS idx_script_jobs_created_at ON script_jobs (created_at)`);
+      db.run(`CREATE INDEX IF NOT EXISTS idx_script_jobs_batch_id ON script_jobs (batch_id)`);
+      db.run(`CREATE INDEX IF NOT EXISTS idx_scripts_created_by ON scripts (created_by)`);
+      db.run(`CREATE INDEX IF NOT EXISTS idx_script_schedules_next_run_at ON script_schedules (enabled, next_run_at)`);
+      db.run(`CREATE INDEX IF NOT EXISTS idx_vms_tenant_id ON vms (tenant_id)`);
+      db.run(`CREATE INDEX IF NOT EXISTS idx_scripts_tenant_id ON scripts (tenant_id)`);
+      db.run(`CREATE INDEX IF NOT EXISTS idx_script_jobs_tenant_id ON script_jobs (tenant_id)`);
+      db.run(`CREATE INDEX IF NOT EXISTS idx_docker_ports_vm_id ON docker_ports (vm_id)`);
+      db.run(`CREATE INDEX IF NOT EXISTS idx_vm_transitions_vm_id ON vm_transitions (vm_id, created_at)`);
+      db.run(`CREATE INDEX IF NOT EXISTS idx_vms_warm_pool ON vms (warm_pool)`);
+      db.run(`CREATE INDEX IF NOT EXISTS idx_vms_expires_at ON vms (expires_at)`);
+      db.run(`CREATE INDEX IF NOT EXISTS idx_vm_usage_vm_id ON vm_usage (vm_id, ended_at)`);
+      db.run(`CREATE INDEX IF NOT EXISTS idx_vm_usage_started_at ON vm_usage (started_at)`);
+      db.run(`CREATE INDEX IF NOT EXISTS idx_vnc_sessions_vm_id ON vnc_sessions (vm_id)`);
 
       // Insert default scripts
       db.run(`
-        INSERT OR IGNORE INTO scripts (id, name, description, script, category) VALUES 
+        INSERT OR IGNORE INTO scripts (id, name, description, script, category, params_schema) VALUES 
         ('basic-nav', 'Basic Navigation', 'Navigate to a website and get basic info', 
-         'await page.goto("https://example.com");\nconst title = await page.title();\nconst url = page.url();\nreturn { title, url };', 'navigation'),
+         'await page.goto(params.url);\nconst title = await page.title();\nconst url = page.url();\nreturn { title, url };', 'navigation',
+         '{"url":{"type":"url","default":"https://example.com","description":"Page to open"}}'),
         ('form-fill', 'Form Filling', 'Fill out a form with test data', 
-         'await page.goto("https://example.com/form");\nawait page.type("#username", "testuser");\nawait page.type("#password", "testpass");\nawait page.click("#submit-btn");\nreturn { success: true };', 'forms'),
+         'await page.goto(params.url);\nawait page.type(params.usernameSelector, params.username);\nawait page.type(params.passwordSelector, params.password);\nawait page.click(params.submitSelector);\nreturn { success: true };', 'forms',
+         '{"url":{"type":"url","required":true,"description":"Form page"},"username":{"type":"string","required":true},"password":{"type":"string","required":true},"usernameSelector":{"type":"string","default":"#username"},"passwordSelector":{"type":"string","default":"#password"},"submitSelector":{"type":"string","default":"#submit-btn"}}'),
         ('data-extract', 'Data Extraction', 'Extract data from a page', 
-         'await page.goto("https://example.com/products");\nconst products = await page.$$eval(".product", elements => \n  elements.map(el => ({\n    name: el.querySelector(".name")?.textContent,\n    price: el.querySelector(".price")?.textContent\n  }))\n);\nreturn { products };', 'extraction')
-      `);
-
-      resolve();
+         'await page.goto(params.url);\nconst products = await page.$$eval(params.itemSelector, elements => \n  elements.map(el => ({\n    name: el.querySelector(".name")?.textContent,\n    price: el.querySelector(".price")?.textContent\n  }))\n);\nreturn { products };', 'extraction',
+         '{"url":{"type":"url","default":"https://example.com/products","description":"Listing page"},"itemSelector":{"type":"string","default":".product"}}')
+      `, (err) => {
+        // Statements run in order, so the schema is in place once the last one completes
+        if (err) reject(err);
+        else resolve();
+      });
     });
 
     db.on('error', (err) => {
@@ -112,7 +376,32 @@ const initializeDatabase = () => {
 
 const getDatabase = () => db;
 
+// Promise wrappers around the sqlite3 callback API
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+  db.run(sql, params, function(err) {
+    if (err) reject(err);
+    else resolve({ changes: this.changes, lastID: this.lastID });
+  });
+});
+
+const get = (sql, params = []) => new Promise((resolve, reject) => {
+  db.get(sql, params, (err, row) => {
+    if (err) reject(err);
+    else resolve(row);
+  });
+});
+
+const all = (sql, params = []) => new Promise((resolve, reject) => {
+  db.all(sql, params, (err, rows) => {
+    if (err) reject(err);
+    else resolve(rows);
+  });
+});
+
 module.exports = {
   initializeDatabase,
-  getDatabase
+  getDatabase,
+  run,
+  get,
+  all
 };
@@ -0,0 +1,75 @@
+const apiKeys = require('../services/apiKeys');
+const { DEFAULT_TENANT } = require('../services/tenants');
+const logger = require('../utils/logger');
+
+// Set AUTH_DISABLED=true to run without API keys (local development only)
+const authDisabled = () => process.env.AUTH_DISABLED === 'true';
+
+// Accepts "Authorization: Bearer <key>"
+const extractKey = (req) => {
+  const header = req.get('Authorization');
+  if (!header) {
+    return null;
+  }
+
+  const [scheme, key] = header.trim().split(/\s+/);
+  return scheme && scheme.toLowerCase() === 'bearer' ? key : null;
+};
+
+// Resolve the API key on the request into req.apiKey, or reject with 401.
+// Also sets req.tenantId (the caller's tenant, owner of anything it creates)
+// and req.tenantFilter (the tenant it may see; null for admin keys, which
+// see every tenant).
+const authenticate = async (req, res, next) => {
+  if (authDisabled()) {
+    req.tenantId = DEFAULT_TENANT;
+    req.tenantFilter = null;
+    return next();
+  }
+
+  try {
+    const key = extractKey(req);
+    if (!key) {
+      return res.status(401).json({ error: 'Missing API key' });
+    }
+
+    const apiKey = await apiKeys.verify(key);
+    if (!apiKey) {
+      return res.status(401).json({ error: 'Invalid API key' });
+    }
+
+    req.apiKey = apiKey;
+    req.tenantId = apiKey.tenant_id || DEFAULT_TENANT;
+    req.tenantFilter = apiKeys.hasScope(apiKey, 'admin') ? null : req.tenantId;
+    next();
+  } catch (error) {
+    logger.error('Error authenticating request:', error);
+    res.status(500).json({ error: 'Failed to authenticate request' });
+  }
+};
+
+// Reject with 403 unless the authenticated key has the scope (or admin)
+const requireScope = (scope) => (req, res, next) => {
+  if (authDisabled()) {
+    return next();
+  }
+
+  if (!req.apiKey || !apiKeys.hasScope(req.apiKey, scope)) {
+    return res.status(403).json({ error: `API key is missing the ${scope} scope` });
+  }
+  next();
+};
+
+// Whether a tenant-owned row is visible to the caller; other tenants' rows
+// are reported as not found
+const canAccess = (req, row) => !req.tenantFilter || row.tenant_id === req.tenantFilter;
+
+// Who to record as created_by for rows created by this request
+const callerId = (req) => (req.apiKey ? req.apiKey.id : 'system');
+
+module.exports = {
+  authenticate,
+  requireScope,
+  canAccess,
+  callerId
+};
@@ -0,0 +1,71 @@
+const express = require('express');
+const Joi = require('joi');
+const apiKeys = require('../services/apiKeys');
+const tenants = require('../services/tenants');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Validation schemas
+const createKeySchema = Joi.object({
+  name: Joi.string().min(1).max(100).required(),
+  scopes: Joi.array().items(Joi.string().valid(...apiKeys.SCOPES)).min(1).unique().required(),
+  tenant_id: Joi.string(),
+  expires_at: Joi.date().iso().greater('now')
+});
+
+// Get API keys (never includes the keys themselves)
+router.get('/', async (req, res) => {
+  try {
+    res.json(await apiKeys.list({ includeRevoked: req.query.include_revoked === 'true' }));
+  } catch (error) {
+    logger.error('Error fetching API keys:', error);
+    res.status(500).json({ error: 'Failed to fetch API keys' });
+  }
+});
+
+// Mint a new API key; the plaintext key is only returned in this response
+router.post('/', async (req, res) => {
+  try {
+    const { error, value } = createKeySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    // Keys belong to the minting key's tenant unless another one is named
+    const tenantId = value.tenant_id || req.tenantId;
+    if (!(await tenants.get(tenantId))) {
+      return res.status(400).json({ error: `Unknown tenant: ${tenantId}` });
+    }
+
+    const apiKey = await apiKeys.mint({
+      name: value.name,
+      scopes: value.scopes,
+      tenantId,
+      createdBy: req.apiKey ? req.apiKey.id : null,
+      expiresAt: value.expires_at ? value.expires_at.toISOString() : null
+    });
+
+    res.status(201).json(apiKey);
+  } catch (error) {
+    logger.error('Error creating API key:', error);
+    res.status(500).json({ error: 'Failed to create API key' });
+  }
+});
+
+// Revoke an API key
+router.delete('/:id', async (req, res) => {
+  try {
+    const revoked = await apiKeys.revoke(req.params.id);
+    if (!revoked) {
+      return res.status(404).json({ error: 'API key not found or already revoked' });
+    }
+
+    res.json({ message: 'API key revoked successfully' });
+  } catch (error) {
+    logger.error(`Error revoking API key ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+});
+
+module.exports = router;
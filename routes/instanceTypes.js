@@ -0,0 +1,44 @@
+const express = require('express');
+const Joi = require('joi');
+const logger = require('../utils/logger');
+const { requireScope } = require('../middleware/auth');
+const providerRegistry = require('../services/providerRegistry');
+
+const router = express.Router();
+
+// Validation schemas
+const listQuerySchema = Joi.object({
+  provider: Joi.string().valid(...providerRegistry.names())
+});
+
+// Every provider's instance types with sizes in vCPUs, MB and GB and the
+// hourly price in USD; `default` marks the type used when none is requested
+router.get('/', requireScope('vms:read'), (req, res) => {
+  try {
+    const { error, value } = listQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const names = value.provider ? [value.provider] : providerRegistry.names();
+    const instanceTypes = names.flatMap(name => providerRegistry.get(name).instanceTypes.map(instanceType => ({
+      provider: name,
+      type: instanceType.type,
+      name: instanceType.name,
+      vcpus: instanceType.vcpus,
+      shared_core: instanceType.shared_core,
+      memory_mb: instanceType.memory_mb,
+      storage_gb: instanceType.storage_gb,
+      hourly_price: instanceType.hourly_price,
+      currency: 'USD',
+      default: instanceType.default === true
+    })));
+
+    res.json(instanceTypes);
+  } catch (error) {
+    logger.error('Error fetching instance types:', error);
+    res.status(500).json({ error: 'Failed to fetch instance types' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,96 @@
+const express = require('express');
+const Joi = require('joi');
+const jobQueue = require('../services/jobQueue');
+const logger = require('../utils/logger');
+const { requireScope, canAccess } = require('../middleware/auth');
+const { toErrorBody } = require('../utils/errors');
+
+const router = express.Router();
+
+// Validation schemas
+const listJobsSchema = Joi.object({
+  vm_id: Joi.string(),
+  batch_id: Joi.string(),
+  status: Joi.string().valid('pending', 'running', 'completed', 'failed', 'cancelled'),
+  limit: Joi.number().integer().min(1).max(200).default(50),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+// Get jobs
+router.get('/', requireScope('scripts:read'), async (req, res) => {
+  try {
+    const { error, value } = listJobsSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const jobs = await jobQueue.listJobs({
+      vmId: value.vm_id,
+      batchId: value.batch_id,
+      status: value.status,
+      tenantId: req.tenantFilter,
+      limit: value.limit,
+      offset: value.offset
+    });
+
+    res.json(jobs);
+  } catch (error) {
+    logger.error('Error fetching jobs:', error);
+    res.status(500).json({ error: 'Failed to fetch jobs' });
+  }
+});
+
+// Get a batch of jobs started from a saved script, with per-VM progress
+router.get('/batches/:batchId', requireScope('scripts:read'), async (req, res) => {
+  try {
+    const batch = await jobQueue.getBatch(req.params.batchId);
+    if (!batch || !canAccess(req, batch)) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+
+    res.json(batch);
+  } catch (error) {
+    logger.error(`Error fetching batch ${req.params.batchId}:`, error);
+    res.status(500).json({ error: 'Failed to fetch batch' });
+  }
+});
+
+// Get job by ID
+router.get('/:id', requireScope('scripts:read'), async (req, res) => {
+  try {
+    const job = await jobQueue.getJob(req.params.id);
+    if (!job || !canAccess(req, job)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json(job);
+  } catch (error) {
+    logger.error(`Error fetching job ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to fetch job' });
+  }
+});
+
+// Cancel a job that has not started yet
+router.post('/:id/cancel', requireScope('scripts:run'), async (req, res) => {
+  try {
+    const existing = await jobQueue.getJob(req.params.id);
+    if (!existing || !canAccess(req, existing)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const job = await jobQueue.cancelJob(existing.id);
+    if (!job) {
+      return res.status(409).json({ error: 'Only pending jobs can be cancelled' });
+    }
+
+    res.json(job);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(toErrorBody(error));
+    }
+    logger.error(`Error cancelling job ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to cancel job' });
+  }
+});
+
+module.exports = router;
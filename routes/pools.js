@@ -0,0 +1,118 @@
+const express = require('express');
+const Joi = require('joi');
+const logger = require('../utils/logger');
+const { requireScope } = require('../middleware/auth');
+const providerRegistry = require('../services/providerRegistry');
+const warmPool = require('../services/warmPool');
+const { toErrorBody } = require('../utils/errors');
+
+const router = express.Router();
+
+// Validation schemas
+const poolSize = Joi.number().integer().min(0).max(50);
+
+const createPoolSchema = Joi.object({
+  provider: Joi.string().valid(...providerRegistry.names()).required(),
+  instance_type: Joi.string().allow(null).default(null),
+  size: poolSize.required()
+});
+
+const resizePoolSchema = Joi.object({
+  size: poolSize.required()
+});
+
+// Load a pool, or answer 404
+const loadPool = async (req, res) => {
+  const pool = await warmPool.get(req.params.id);
+  if (!pool) {
+    res.status(404).json({ error: 'Warm pool not found' });
+    return null;
+  }
+  return pool;
+};
+
+// Every pool with its target size and ready/warming/failed counts
+router.get('/', requireScope('vms:read'), async (req, res) => {
+  try {
+    const pools = await warmPool.list();
+    res.json(await Promise.all(pools.map(pool => warmPool.status(pool))));
+  } catch (error) {
+    logger.error('Error fetching warm pools:', error);
+    res.status(500).json({ error: 'Failed to fetch warm pools' });
+  }
+});
+
+router.get('/:id', requireScope('vms:read'), async (req, res) => {
+  try {
+    const pool = await loadPool(req, res);
+    if (!pool) return;
+
+    res.json(await warmPool.status(pool));
+  } catch (error) {
+    logger.error(`Error fetching warm pool ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to fetch warm pool' });
+  }
+});
+
+// Create a pool; it starts filling in the background
+router.post('/', requireScope('admin'), async (req, res) => {
+  try {
+    const { error, value } = createPoolSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    // Pools hold the type POST /api/vms resolves to, so no type means the default
+    const instanceType = providerRegistry.get(value.provider).resolveInstanceType(value.instance_type);
+    const existing = await warmPool.find(value.provider, instanceType);
+    if (existing) {
+      return res.status(409).json({
+        error: `A warm pool for ${value.provider}/${instanceType || 'default'} already exists`,
+        details: { id: existing.id }
+      });
+    }
+
+    const pool = await warmPool.create({ provider: value.provider, instanceType, size: value.size });
+    res.status(201).json(await warmPool.status(pool));
+  } catch (error) {
+    logger.error('Error creating warm pool:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(toErrorBody(error));
+    }
+    res.status(500).json({ error: 'Failed to create warm pool' });
+  }
+});
+
+// Grow or shrink a pool; surplus idle VMs are deleted in the background
+router.put('/:id/size', requireScope('admin'), async (req, res) => {
+  try {
+    const { error, value } = resizePoolSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const pool = await loadPool(req, res);
+    if (!pool) return;
+
+    res.json(await warmPool.status(await warmPool.resize(pool.id, value.size)));
+  } catch (error) {
+    logger.error(`Error resizing warm pool ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to resize warm pool' });
+  }
+});
+
+// Remove a pool and delete its idle VMs; VMs already claimed are kept
+router.delete('/:id', requireScope('admin'), async (req, res) => {
+  try {
+    const pool = await loadPool(req, res);
+    if (!pool) return;
+
+    await warmPool.remove(pool.id);
+    res.json({ message: 'Warm pool removed successfully', id: pool.id });
+  } catch (error) {
+    logger.error(`Error removing warm pool ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to remove warm pool' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,65 @@
+const express = require('express');
+const Joi = require('joi');
+const quotas = require('../services/quotas');
+const tenants = require('../services/tenants');
+const logger = require('../utils/logger');
+const { requireScope } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation schemas
+const updateQuotasSchema = Joi.object({
+  max_vms: Joi.number().integer().min(0).allow(null),
+  max_concurrent_jobs: Joi.number().integer().min(0).allow(null),
+  allowed_instance_types: Joi.array().items(Joi.string()).unique().allow(null)
+}).min(1);
+
+// Limits and current usage for the caller's tenant; admin keys may pass
+// ?tenant_id= to inspect another tenant
+router.get('/', requireScope('vms:read'), async (req, res) => {
+  try {
+    let tenantId = req.tenantId;
+    if (req.query.tenant_id && req.query.tenant_id !== req.tenantId) {
+      if (req.tenantFilter) {
+        return res.status(404).json({ error: 'Tenant not found' });
+      }
+      tenantId = req.query.tenant_id;
+    }
+
+    if (!(await tenants.get(tenantId))) {
+      return res.status(404).json({ error: 'Tenant not found' });
+    }
+
+    res.json(await quotas.getUsage(tenantId));
+  } catch (error) {
+    logger.error('Error fetching quotas:', error);
+    res.status(500).json({ error: 'Failed to fetch quotas' });
+  }
+});
+
+// Set a tenant's limits
+router.put('/:tenantId', requireScope('admin'), async (req, res) => {
+  try {
+    const { error, value } = updateQuotasSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    if (!(await tenants.get(req.params.tenantId))) {
+      return res.status(404).json({ error: 'Tenant not found' });
+    }
+
+    await quotas.setLimits(req.params.tenantId, {
+      maxVMs: value.max_vms,
+      maxConcurrentJobs: value.max_concurrent_jobs,
+      allowedInstanceTypes: value.allowed_instance_types
+    });
+
+    res.json(await quotas.getUsage(req.params.tenantId));
+  } catch (error) {
+    logger.error(`Error updating quotas for tenant ${req.params.tenantId}:`, error);
+    res.status(500).json({ error: 'Failed to update quotas' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const reconciler = require('../services/reconciler');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Report from the last reconciliation run
+router.get('/', (req, res) => {
+  res.json(reconciler.lastReport || { message: 'Reconciliation has not run yet' });
+});
+
+// Reconcile now and return the report
+router.post('/', async (req, res) => {
+  try {
+    res.json(await reconciler.reconcile());
+  } catch (error) {
+    logger.error('Error running reconciliation:', error);
+    res.status(500).json({ error: 'Failed to run reconciliation' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,188 @@
+const express = require('express');
+const Joi = require('joi');
+const cronParser = require('cron-parser');
+const scheduler = require('../services/scheduler');
+const scriptRunner = require('../services/scriptRunner');
+const logger = require('../utils/logger');
+const { requireScope, canAccess } = require('../middleware/auth');
+const { toErrorBody } = require('../utils/errors');
+
+const router = express.Router();
+
+const cronExpression = Joi.string().custom((value, helpers) => {
+  try {
+    cronParser.parseExpression(value);
+    return value;
+  } catch (error) {
+    return helpers.message(`"cron" is not a valid cron expression: ${error.message}`);
+  }
+});
+
+const timezone = Joi.string().custom((value, helpers) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return value;
+  } catch (error) {
+    return helpers.message(`"timezone" must be a valid IANA time zone`);
+  }
+});
+
+// Validation schemas
+const createScheduleSchema = Joi.object({
+  script_id: Joi.string().required(),
+  name: Joi.string().max(100),
+  cron: cronExpression.required(),
+  timezone: timezone.default('UTC'),
+  vm_ids: Joi.array().items(Joi.string()).min(1).unique(),
+  selector: Joi.object().pattern(Joi.string(), Joi.string()).min(1),
+  params: Joi.object().default({}),
+  enabled: Joi.boolean().default(true)
+}).xor('vm_ids', 'selector');
+
+const updateScheduleSchema = Joi.object({
+  name: Joi.string().max(100).allow(null),
+  cron: cronExpression,
+  timezone,
+  vm_ids: Joi.array().items(Joi.string()).min(1).unique(),
+  selector: Joi.object().pattern(Joi.string(), Joi.string()).min(1),
+  params: Joi.object(),
+  enabled: Joi.boolean()
+}).oxor('vm_ids', 'selector').min(1);
+
+const sendError = (res, error, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json(toErrorBody(error));
+  }
+  res.status(500).json({ error: message });
+};
+
+// Get all schedules
+router.get('/', requireScope('scripts:read'), async (req, res) => {
+  try {
+    res.json(await scheduler.list({ scriptId: req.query.script_id, tenantId: req.tenantFilter }));
+  } catch (error) {
+    logger.error('Error fetching schedules:', error);
+    res.status(500).json({ error: 'Failed to fetch schedules' });
+  }
+});
+
+// Get schedule by ID, including next_run_at and last_run_at
+router.get('/:id', requireScope('scripts:read'), async (req, res) => {
+  try {
+    const schedule = await scheduler.get(req.params.id);
+    if (!schedule || !canAccess(req, schedule)) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    res.json(schedule);
+  } catch (error) {
+    logger.error(`Error fetching schedule ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to fetch schedule' });
+  }
+});
+
+// Create schedule
+router.post('/', requireScope('scripts:run'), async (req, res) => {
+  try {
+    const { error, value } = createScheduleSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    // Scheduled runs act as the caller's tenant; reject scripts it cannot
+    // see and params the script would refuse at run time
+    const savedScript = await scriptRunner.loadScript(value.script_id, req.tenantId);
+    scriptRunner.validateParams(savedScript, value.params);
+
+    const schedule = await scheduler.create({
+      scriptId: value.script_id,
+      name: value.name,
+      cron: value.cron,
+      timezone: value.timezone,
+      vmIds: value.vm_ids,
+      selector: value.selector,
+      params: value.params,
+      enabled: value.enabled,
+      tenantId: req.tenantId
+    });
+
+    res.status(201).json(schedule);
+  } catch (error) {
+    logger.error('Error creating schedule:', error.message);
+    sendError(res, error, 'Failed to create schedule');
+  }
+});
+
+// Update schedule
+router.put('/:id', requireScope('scripts:run'), async (req, res) => {
+  try {
+    const { error, value } = updateScheduleSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const existing = await scheduler.get(req.params.id);
+    if (!existing || !canAccess(req, existing)) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    if (value.params) {
+      const savedScript = await scriptRunner.loadScript(existing.script_id, existing.tenant_id);
+      scriptRunner.validateParams(savedScript, value.params);
+    }
+
+    const schedule = await scheduler.update(req.params.id, {
+      name: value.name,
+      cron: value.cron,
+      timezone: value.timezone,
+      vmIds: value.vm_ids,
+      selector: value.selector,
+      params: value.params,
+      enabled: value.enabled
+    });
+
+    res.json(schedule);
+  } catch (error) {
+    logger.error(`Error updating schedule ${req.params.id}:`, error.message);
+    sendError(res, error, 'Failed to update schedule');
+  }
+});
+
+// Delete schedule
+router.delete('/:id', requireScope('scripts:run'), async (req, res) => {
+  try {
+    const schedule = await scheduler.get(req.params.id);
+    if (!schedule || !canAccess(req, schedule)) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    await scheduler.remove(schedule.id);
+
+    res.json({ message: 'Schedule deleted successfully' });
+  } catch (error) {
+    logger.error(`Error deleting schedule ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to delete schedule' });
+  }
+});
+
+// Trigger a schedule now without changing its cadence
+router.post('/:id/run', requireScope('scripts:run'), async (req, res) => {
+  try {
+    const schedule = await scheduler.get(req.params.id);
+    if (!schedule || !canAccess(req, schedule)) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    const result = await scheduler.fire(schedule, { manual: true });
+    if (result.error) {
+      return res.status(400).json({ error: result.error, schedule: result.schedule });
+    }
+
+    res.status(202).json(result);
+  } catch (error) {
+    logger.error(`Error running schedule ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to run schedule' });
+  }
+});
+
+module.exports = router;
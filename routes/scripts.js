@@ -3,6 +3,13 @@ const { v4: uuidv4 } = require('uuid');
 const Joi = require('joi');
 const { getDatabase } = require('../database/init');
 const logger = require('../utils/logger');
+const { requireScope, callerId } = require('../middleware/auth');
+const scriptRevisions = require('../services/scriptRevisions');
+const scriptRunner = require('../services/scriptRunner');
+const scheduler = require('../services/scheduler');
+const { parseJSON } = require('../utils/json');
+const { toErrorBody } = require('../utils/errors');
+const { paramsSchemaDefinition } = require('../utils/scriptParams');
 
 const router = express.Router();
 const db = getDatabase();
@@ -12,21 +19,86 @@ const createScriptSchema = Joi.object({
   name: Joi.string().min(1).max(100).required(),
   description: Joi.string().max(500),
   script: Joi.string().min(1).required(),
-  category: Joi.string().valid('general', 'navigation', 'forms', 'extraction', 'testing').default('general')
+  category: Joi.string().valid('general', 'navigation', 'forms', 'extraction', 'testing').default('general'),
+  params_schema: paramsSchemaDefinition.default({})
 });
 
 const updateScriptSchema = Joi.object({
   name: Joi.string().min(1).max(100),
   description: Joi.string().max(500),
   script: Joi.string().min(1),
-  category: Joi.string().valid('general', 'navigation', 'forms', 'extraction', 'testing')
+  category: Joi.string().valid('general', 'navigation', 'forms', 'extraction', 'testing'),
+  params_schema: paramsSchemaDefinition,
+  message: Joi.string().max(500)
 });
 
+const rollbackSchema = Joi.object({
+  revision: Joi.number().integer().min(1).required(),
+  message: Joi.string().max(500)
+});
+
+const diffSchema = Joi.object({
+  from: Joi.number().integer().min(1).required(),
+  to: Joi.number().integer().min(1)
+});
+
+const runScriptSchema = Joi.object({
+  vm_ids: Joi.array().items(Joi.string()).min(1).unique(),
+  selector: Joi.object().pattern(Joi.string(), Joi.string()).min(1),
+  params: Joi.object().default({}),
+  screenshot: Joi.boolean().default(false),
+  selectedText: Joi.boolean().default(false)
+}).xor('vm_ids', 'selector');
+
+const listScriptsSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  sort: Joi.string().valid('name', 'category', 'created_at', 'updated_at').default('created_at'),
+  order: Joi.string().lowercase().valid('asc', 'desc').default('desc'),
+  category: Joi.string(),
+  search: Joi.string(),
+  created_by: Joi.string()
+});
+
+// params_schema is stored as JSON text
+const formatScript = (row) => row && { ...row, params_schema: parseJSON(row.params_schema) || {} };
+
+// Load a script the caller can see (its tenant's own or a shared one with no
+// tenant), or answer 404
+const loadScript = async (req, res) => {
+  const script = await new Promise((resolve, reject) => {
+    db.get('SELECT * FROM scripts WHERE id = ?', [req.params.id], (err, row) => {
+      if (err) reject(err);
+      else resolve(row);
+    });
+  });
+
+  if (!script || (req.tenantFilter && script.tenant_id && script.tenant_id !== req.tenantFilter)) {
+    res.status(404).json({ error: 'Script not found' });
+    return null;
+  }
+  return script;
+};
+
+// Shared scripts can be read and run by every tenant but only changed by admin keys
+const rejectSharedEdit = (req, res, script) => {
+  if (req.tenantFilter && script.tenant_id !== req.tenantFilter) {
+    res.status(403).json({ error: 'Shared scripts can only be changed with an admin key' });
+    return true;
+  }
+  return false;
+};
+
 // Get all scripts
-router.get('/', async (req, res) => {
+router.get('/', requireScope('scripts:read'), async (req, res) => {
   try {
-    const { category, search } = req.query;
-    let query = 'SELECT * FROM scripts';
+    const { error, value } = listScriptsSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { page, limit, sort, order, category, search, created_by } = value;
+    let where = '';
     const params = [];
 
     const conditions = [];
@@ -38,21 +110,45 @@ router.get('/', async (req, res) => {
       conditions.push('(name LIKE ? OR description LIKE ? OR script LIKE ?)');
       params.push(`%${search}%`, `%${search}%`, `%${search}%`);
     }
+    if (created_by) {
+      conditions.push('created_by = ?');
+      params.push(created_by);
+    }
+    if (req.tenantFilter) {
+      conditions.push('(tenant_id IS NULL OR tenant_id = ?)');
+      params.push(req.tenantFilter);
+    }
 
     if (conditions.length > 0) {
-      query += ' WHERE ' + conditions.join(' AND ');
+      where = ' WHERE ' + conditions.join(' AND ');
     }
 
-    query += ' ORDER BY created_at DESC';
+    const { total } = await new Promise((resolve, reject) => {
+      db.get(`SELECT COUNT(*) as total FROM scripts${where}`, params, (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+
+    // sort and order are whitelisted by listScriptsSchema
+    const query = `SELECT * FROM scripts${where} ORDER BY ${sort} ${order.toUpperCase()}, id LIMIT ? OFFSET ?`;
 
     const scripts = await new Promise((resolve, reject) => {
-      db.all(query, params, (err, rows) => {
+      db.all(query, [...params, limit, (page - 1) * limit], (err, rows) => {
         if (err) reject(err);
         else resolve(rows);
       });
     });
 
-    res.json(scripts);
+    res.json({
+      scripts: scripts.map(formatScript),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
   } catch (error) {
     logger.error('Error fetching scripts:', error);
     res.status(500).json({ error: 'Failed to fetch scripts' });
@@ -60,22 +156,12 @@ router.get('/', async (req, res) => {
 });
 
 // Get script by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', requireScope('scripts:read'), async (req, res) => {
   try {
-    const { id } = req.params;
-    
-    const script = await new Promise((resolve, reject) => {
-      db.get('SELECT * FROM scripts WHERE id = ?', [id], (err, row) => {
-        if (err) reject(err);
-        else resolve(row);
-      });
-    });
-
-    if (!script) {
-      return res.status(404).json({ error: 'Script not found' });
-    }
+    const script = await loadScript(req, res);
+    if (!script) return;
 
-    res.json(script);
+    res.json(formatScript(script));
   } catch (error) {
     logger.error('Error fetching script:', error);
     res.status(500).json({ error: 'Failed to fetch script' });
@@ -83,20 +169,20 @@ router.get('/:id', async (req, res) => {
 });
 
 // Create new script
-router.post('/', async (req, res) => {
+router.post('/', requireScope('scripts:write'), async (req, res) => {
   try {
     const { error, value } = createScriptSchema.validate(req.body);
     if (error) {
       return res.status(400).json({ error: error.details[0].message });
     }
 
-    const { name, description, script, category } = value;
+    const { name, description, script, category, params_schema } = value;
     const scriptId = uuidv4();
 
     await new Promise((resolve, reject) => {
       db.run(
-        'INSERT INTO scripts (id, name, description, script, category, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
-        [scriptId, name, description, script, category, new Date().toISOString(), new Date().toISOString()],
+        'INSERT INTO scripts (id, name, description, script, category, params_schema, tenant_id, created_by, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+        [scriptId, name, description, script, category, JSON.stringify(params_schema), req.tenantId, callerId(req), new Date().toISOString(), new Date().toISOString()],
         function(err) {
           if (err) reject(err);
           else resolve(this.lastID);
@@ -104,15 +190,23 @@ router.post('/', async (req, res) => {
       );
     });
 
+    const revision = await scriptRevisions.record(
+      { id: scriptId, name, description, script, category, params_schema: JSON.stringify(params_schema) },
+      { createdBy: callerId(req), message: 'Created' }
+    );
+
     const newScript = {
       id: scriptId,
       name,
       description,
       script,
       category,
+      params_schema,
+      current_revision: revision,
+      tenant_id: req.tenantId,
       created_at: new Date().toISOString(),
       updated_at: new Date().toISOString(),
-      created_by: 'system'
+      created_by: callerId(req)
     };
 
     res.status(201).json(newScript);
@@ -123,7 +217,7 @@ router.post('/', async (req, res) => {
 });
 
 // Update script
-router.put('/:id', async (req, res) => {
+router.put('/:id', requireScope('scripts:write'), async (req, res) => {
   try {
     const { id } = req.params;
     const { error, value } = updateScriptSchema.validate(req.body);
@@ -132,18 +226,26 @@ router.put('/:id', async (req, res) => {
       return res.status(400).json({ error: error.details[0].message });
     }
 
+    const { message, ...fields } = value;
     const updateFields = [];
     const updateValues = [];
 
-    Object.keys(value).forEach(key => {
+    Object.keys(fields).forEach(key => {
       updateFields.push(`${key} = ?`);
-      updateValues.push(value[key]);
+      updateValues.push(key === 'params_schema' ? JSON.stringify(fields[key]) : fields[key]);
     });
 
     if (updateFields.length === 0) {
       return res.status(400).json({ error: 'No fields to update' });
     }
 
+    const existing = await loadScript(req, res);
+    if (!existing) return;
+    if (rejectSharedEdit(req, res, existing)) return;
+
+    // Keep the pre-edit content in history before overwriting it
+    await scriptRevisions.ensureInitial(existing);
+
     updateFields.push('updated_at = ?');
     updateValues.push(new Date().toISOString());
     updateValues.push(id);
@@ -168,7 +270,9 @@ router.put('/:id', async (req, res) => {
       });
     });
 
-    res.json(script);
+    script.current_revision = await scriptRevisions.record(script, { createdBy: callerId(req), message });
+
+    res.json(formatScript(script));
   } catch (error) {
     if (error.message === 'Script not found') {
       return res.status(404).json({ error: 'Script not found' });
@@ -179,21 +283,14 @@ router.put('/:id', async (req, res) => {
 });
 
 // Delete script
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requireScope('scripts:write'), async (req, res) => {
   try {
     const { id } = req.params;
 
     // Check if script exists
-    const script = await new Promise((resolve, reject) => {
-      db.get('SELECT * FROM scripts WHERE id = ?', [id], (err, row) => {
-        if (err) reject(err);
-        else resolve(row);
-      });
-    });
-
-    if (!script) {
-      return res.status(404).json({ error: 'Script not found' });
-    }
+    const script = await loadScript(req, res);
+    if (!script) return;
+    if (rejectSharedEdit(req, res, script)) return;
 
     await new Promise((resolve, reject) => {
       db.run('DELETE FROM scripts WHERE id = ?', [id], function(err) {
@@ -201,6 +298,7 @@ router.delete('/:id', async (req, res) => {
         else resolve();
       });
     });
+    await scheduler.removeForScript(id);
 
     res.json({ message: 'Script deleted successfully' });
   } catch (error) {
@@ -210,10 +308,13 @@ router.delete('/:id', async (req, res) => {
 });
 
 // Get script categories
-router.get('/categories/list', async (req, res) => {
+router.get('/categories/list', requireScope('scripts:read'), async (req, res) => {
   try {
+    const where = req.tenantFilter ? ' WHERE tenant_id IS NULL OR tenant_id = ?' : '';
+    const params = req.tenantFilter ? [req.tenantFilter] : [];
+
     const categories = await new Promise((resolve, reject) => {
-      db.all('SELECT DISTINCT category, COUNT(*) as count FROM scripts GROUP BY category ORDER BY category', (err, rows) => {
+      db.all(`SELECT DISTINCT category, COUNT(*) as count FROM scripts${where} GROUP BY category ORDER BY category`, params, (err, rows) => {
         if (err) reject(err);
         else resolve(rows);
       });
@@ -227,9 +328,8 @@ router.get('/categories/list', async (req, res) => {
 });
 
 // Duplicate script
-router.post('/:id/duplicate', async (req, res) => {
+router.post('/:id/duplicate', requireScope('scripts:write'), async (req, res) => {
   try {
-    const { id } = req.params;
     const { name } = req.body;
 
     if (!name) {
@@ -237,23 +337,15 @@ router.post('/:id/duplicate', async (req, res) => {
     }
 
     // Get original script
-    const originalScript = await new Promise((resolve, reject) => {
-      db.get('SELECT * FROM scripts WHERE id = ?', [id], (err, row) => {
-        if (err) reject(err);
-        else resolve(row);
-      });
-    });
-
-    if (!originalScript) {
-      return res.status(404).json({ error: 'Script not found' });
-    }
+    const originalScript = await loadScript(req, res);
+    if (!originalScript) return;
 
     const scriptId = uuidv4();
 
     await new Promise((resolve, reject) => {
       db.run(
-        'INSERT INTO scripts (id, name, description, script, category, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
-        [scriptId, name, originalScript.description, originalScript.script, originalScript.category, new Date().toISOString(), new Date().toISOString()],
+        'INSERT INTO scripts (id, name, description, script, category, params_schema, tenant_id, created_by, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+        [scriptId, name, originalScript.description, originalScript.script, originalScript.category, originalScript.params_schema, req.tenantId, callerId(req), new Date().toISOString(), new Date().toISOString()],
         function(err) {
           if (err) reject(err);
           else resolve(this.lastID);
@@ -261,15 +353,23 @@ router.post('/:id/duplicate', async (req, res) => {
       );
     });
 
+    const revision = await scriptRevisions.record(
+      { ...originalScript, id: scriptId, name },
+      { createdBy: callerId(req), message: `Duplicated from ${originalScript.id}` }
+    );
+
     const newScript = {
       id: scriptId,
       name,
       description: originalScript.description,
       script: originalScript.script,
       category: originalScript.category,
+      params_schema: parseJSON(originalScript.params_schema) || {},
+      current_revision: revision,
+      tenant_id: req.tenantId,
       created_at: new Date().toISOString(),
       updated_at: new Date().toISOString(),
-      created_by: 'system'
+      created_by: callerId(req)
     };
 
     res.status(201).json(newScript);
@@ -279,4 +379,146 @@ router.post('/:id/duplicate', async (req, res) => {
   }
 });
 
+// List revisions of a script, newest first
+router.get('/:id/revisions', requireScope('scripts:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const script = await loadScript(req, res);
+    if (!script) return;
+
+    await scriptRevisions.ensureInitial(script);
+    res.json(await scriptRevisions.list(id));
+  } catch (error) {
+    logger.error('Error fetching script revisions:', error);
+    res.status(500).json({ error: 'Failed to fetch script revisions' });
+  }
+});
+
+// Diff two revisions; `to` defaults to the current revision
+router.get('/:id/diff', requireScope('scripts:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { error, value } = diffSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const script = await loadScript(req, res);
+    if (!script) return;
+
+    const currentRevision = await scriptRevisions.ensureInitial(script);
+    const from = await scriptRevisions.get(id, value.from);
+    const to = await scriptRevisions.get(id, value.to || currentRevision);
+
+    if (!from || !to) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    res.json(scriptRevisions.diff(from, to));
+  } catch (error) {
+    logger.error('Error diffing script revisions:', error);
+    res.status(500).json({ error: 'Failed to diff script revisions' });
+  }
+});
+
+// Get a specific revision
+router.get('/:id/revisions/:revision', requireScope('scripts:read'), async (req, res) => {
+  try {
+    const { id, revision } = req.params;
+
+    const script = await loadScript(req, res);
+    if (!script) return;
+
+    const found = await scriptRevisions.get(id, parseInt(revision, 10));
+    if (!found) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    res.json(found);
+  } catch (error) {
+    logger.error('Error fetching script revision:', error);
+    res.status(500).json({ error: 'Failed to fetch script revision' });
+  }
+});
+
+// Roll a script back to an earlier revision; this records a new revision
+// with the old content, so history is never rewritten
+router.post('/:id/rollback', requireScope('scripts:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { error, value } = rollbackSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const script = await loadScript(req, res);
+    if (!script) return;
+    if (rejectSharedEdit(req, res, script)) return;
+
+    await scriptRevisions.ensureInitial(script);
+    const target = await scriptRevisions.get(id, value.revision);
+    if (!target) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    await new Promise((resolve, reject) => {
+      db.run(
+        'UPDATE scripts SET name = ?, description = ?, script = ?, category = ?, params_schema = ?, updated_at = ? WHERE id = ?',
+        [target.name, target.description, target.script, target.category, JSON.stringify(target.params_schema), new Date().toISOString(), id],
+        function(err) {
+          if (err) reject(err);
+          else resolve();
+        }
+      );
+    });
+
+    const rolledBack = await new Promise((resolve, reject) => {
+      db.get('SELECT * FROM scripts WHERE id = ?', [id], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+
+    rolledBack.current_revision = await scriptRevisions.record(rolledBack, {
+      createdBy: callerId(req),
+      message: value.message || `Rollback to revision ${value.revision}`
+    });
+
+    res.json(formatScript(rolledBack));
+  } catch (error) {
+    logger.error('Error rolling back script:', error);
+    res.status(500).json({ error: 'Failed to roll back script' });
+  }
+});
+
+// Run a saved script on a list of VMs or on every VM matching a label selector
+router.post('/:id/run', requireScope('scripts:run'), async (req, res) => {
+  try {
+    const { error, value } = runScriptSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { vm_ids, selector, params, ...options } = value;
+    const batch = await scriptRunner.run(req.params.id, {
+      vmIds: vm_ids,
+      selector,
+      params,
+      options,
+      tenantId: req.tenantId,
+      tenantFilter: req.tenantFilter,
+      createdBy: callerId(req)
+    });
+
+    res.status(202).location(`/api/jobs/batches/${batch.id}`).json(batch);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(toErrorBody(error));
+    }
+    logger.error('Error running script:', error);
+    res.status(500).json({ error: 'Failed to run script' });
+  }
+});
+
 module.exports = router;
@@ -1,55 +1,93 @@
 const express = require('express');
+const Joi = require('joi');
 const logger = require('../utils/logger');
+const { requireScope } = require('../middleware/auth');
+const servers = require('../services/servers');
+const placement = require('../services/placement');
 
 const router = express.Router();
 
-// Predefined VM providers
-const PREDEFINED_SERVERS = [
-  {
-    id: 'default-cloudflare-server',
-    name: 'Cloudflare Workers (Mock VMs)',
-    host: 'chrome-vm-workers.mgmt-5e1.workers.dev',
-    port: 443,
-    novnc_port: 6080,
-    max_vms: 10,
-    location: 'Global Edge',
-    status: 'active',
-    health: 'healthy',
-    created_at: new Date().toISOString(),
-    last_check: new Date().toISOString(),
-    capabilities: ['mock-vms', 'fast-deployment', 'serverless', 'edge-computing']
-  },
-  {
-    id: 'default-google-cloud-server',
-    name: 'Google Cloud Platform (Real VMs)',
-    host: 'compute.googleapis.com',
-    port: 443,
-    novnc_port: 6080,
-    max_vms: 5,
-    location: 'Global',
-    status: 'active',
-    health: 'healthy',
-    created_at: new Date().toISOString(),
-    last_check: new Date().toISOString(),
-    capabilities: ['real-vms', 'docker', 'chrome-automation', 'persistent-storage']
+// Validation schemas
+const serverFields = {
+  name: Joi.string().min(1).max(100),
+  host: Joi.string().hostname(),
+  port: Joi.number().integer().min(1).max(65535),
+  novnc_port: Joi.number().integer().min(1).max(65535),
+  protocol: Joi.string().valid('http', 'https'),
+  max_vms: Joi.number().integer().min(1),
+  location: Joi.string().max(100),
+  capabilities: Joi.array().items(Joi.string().max(50)).unique()
+};
+
+const createServerSchema = Joi.object({
+  ...serverFields,
+  id: Joi.string().pattern(/^[a-z0-9][a-z0-9-]*$/).max(64),
+  name: serverFields.name.required(),
+  host: serverFields.host.required(),
+  port: serverFields.port.default(3000),
+  novnc_port: serverFields.novnc_port.default(6080),
+  protocol: serverFields.protocol.default('https'),
+  max_vms: serverFields.max_vms.default(10),
+  location: serverFields.location.default('Unknown'),
+  capabilities: serverFields.capabilities.default([])
+});
+
+const updateServerSchema = Joi.object(serverFields).min(1);
+
+const placementQuerySchema = Joi.object({
+  strategy: Joi.string().valid(...Object.keys(placement.STRATEGIES)),
+  location: Joi.string().max(100),
+  // Comma-separated: ?capabilities=real-vms,docker
+  capabilities: Joi.string().max(500)
+});
+
+// Load a registered server for an admin operation, or answer 404/403
+const loadRegistered = async (req, res) => {
+  const server = await servers.get(req.params.id);
+  if (!server) {
+    res.status(404).json({ error: 'Server not found' });
+    return null;
+  }
+  if (server.predefined) {
+    res.status(403).json({ error: 'Predefined servers cannot be changed' });
+    return null;
   }
-];
+  return server;
+};
 
 // Get all servers
-router.get('/', async (req, res) => {
+router.get('/', requireScope('vms:read'), async (req, res) => {
   try {
-    logger.info('Fetching predefined VM servers');
-    res.json(PREDEFINED_SERVERS);
+    res.json(await servers.list());
   } catch (error) {
     logger.error('Error fetching servers:', error);
     res.status(500).json({ error: 'Failed to fetch servers' });
   }
 });
 
+// Show where a new self-hosted VM would be placed, without placing it
+router.get('/placement', requireScope('vms:read'), async (req, res) => {
+  try {
+    const { error, value } = placementQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    res.json(await placement.explain({
+      strategy: value.strategy,
+      location: value.location,
+      capabilities: value.capabilities ? value.capabilities.split(',').map(capability => capability.trim()).filter(Boolean) : []
+    }));
+  } catch (error) {
+    logger.error('Error explaining placement:', error);
+    res.status(500).json({ error: 'Failed to explain placement' });
+  }
+});
+
 // Get server by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', requireScope('vms:read'), async (req, res) => {
   try {
-    const server = PREDEFINED_SERVERS.find(s => s.id === req.params.id);
+    const server = await servers.get(req.params.id);
     if (!server) {
       return res.status(404).json({ error: 'Server not found' });
     }
@@ -60,34 +98,118 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// Create server (for compatibility - returns predefined servers)
-router.post('/', async (req, res) => {
+// Register an agent server; it is health-checked before the response
+router.post('/', requireScope('admin'), async (req, res) => {
   try {
-    logger.info('Server creation requested - returning predefined servers');
-    // For now, just return the predefined servers
-    // In the future, this could add custom servers
-    res.status(201).json({
-      message: 'Server management is handled by predefined providers',
-      available_servers: PREDEFINED_SERVERS
-    });
+    const { error, value } = createServerSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    if (value.id && await servers.get(value.id)) {
+      return res.status(409).json({ error: `Server ${value.id} already exists` });
+    }
+
+    res.status(201).json(await servers.create(value));
   } catch (error) {
-    logger.error('Error in server creation:', error);
-    res.status(500).json({ error: 'Failed to process server request' });
+    logger.error('Error registering server:', error);
+    res.status(500).json({ error: 'Failed to register server' });
   }
 });
 
-// Delete server (for compatibility)
-router.delete('/:id', async (req, res) => {
+// Update a registered server
+router.put('/:id', requireScope('admin'), async (req, res) => {
   try {
-    logger.info(`Server deletion requested for ${req.params.id}`);
-    res.status(200).json({
-      message: 'Predefined servers cannot be deleted',
-      available_servers: PREDEFINED_SERVERS
-    });
+    const { error, value } = updateServerSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const server = await loadRegistered(req, res);
+    if (!server) return;
+
+    res.json(await servers.update(server.id, value));
+  } catch (error) {
+    logger.error(`Error updating server ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to update server' });
+  }
+});
+
+// Unregister a server; it must not hold any VMs
+router.delete('/:id', requireScope('admin'), async (req, res) => {
+  try {
+    const server = await loadRegistered(req, res);
+    if (!server) return;
+
+    const vms = await servers.activeVMs(server.id);
+    if (vms.length > 0) {
+      return res.status(409).json({
+        error: `Server ${server.id} still has ${vms.length} VM(s); drain it first`,
+        details: { vms }
+      });
+    }
+
+    await servers.remove(server.id);
+    res.json({ message: 'Server removed successfully', id: server.id });
+  } catch (error) {
+    logger.error(`Error removing server ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to remove server' });
+  }
+});
+
+// Stop placing new VMs on the server; existing VMs keep running
+router.post('/:id/cordon', requireScope('admin'), async (req, res) => {
+  try {
+    const server = await loadRegistered(req, res);
+    if (!server) return;
+
+    res.json(await servers.setStatus(server.id, 'cordoned'));
+  } catch (error) {
+    logger.error(`Error cordoning server ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to cordon server' });
+  }
+});
+
+// Cordon the server until its VMs are gone; the health poller marks it
+// `drained` once the last one is deleted
+router.post('/:id/drain', requireScope('admin'), async (req, res) => {
+  try {
+    const server = await loadRegistered(req, res);
+    if (!server) return;
+
+    const vms = await servers.activeVMs(server.id);
+    const updated = await servers.setStatus(server.id, vms.length > 0 ? 'draining' : 'drained');
+    res.json({ ...updated, remaining_vms: vms });
+  } catch (error) {
+    logger.error(`Error draining server ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to drain server' });
+  }
+});
+
+// Take new VMs again
+router.post('/:id/uncordon', requireScope('admin'), async (req, res) => {
+  try {
+    const server = await loadRegistered(req, res);
+    if (!server) return;
+
+    res.json(await servers.setStatus(server.id, 'active'));
+  } catch (error) {
+    logger.error(`Error uncordoning server ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to uncordon server' });
+  }
+});
+
+// Run a health check now
+router.post('/:id/check', requireScope('admin'), async (req, res) => {
+  try {
+    const server = await loadRegistered(req, res);
+    if (!server) return;
+
+    res.json(await servers.check(server));
   } catch (error) {
-    logger.error(`Error in server deletion for ${req.params.id}:`, error);
-    res.status(500).json({ error: 'Failed to process server deletion' });
+    logger.error(`Error checking server ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to check server' });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
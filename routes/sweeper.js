@@ -0,0 +1,22 @@
+const express = require('express');
+const vmSweeper = require('../services/vmSweeper');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// VMs stopped or deleted by the last sweep
+router.get('/', (req, res) => {
+  res.json(vmSweeper.lastReport || { message: 'The sweeper has not run yet' });
+});
+
+// Sweep now and return the report
+router.post('/', async (req, res) => {
+  try {
+    res.json(await vmSweeper.sweep());
+  } catch (error) {
+    logger.error('Error running VM sweep:', error);
+    res.status(500).json({ error: 'Failed to run VM sweep' });
+  }
+});
+
+module.exports = router;
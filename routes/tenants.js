@@ -0,0 +1,43 @@
+const express = require('express');
+const Joi = require('joi');
+const tenants = require('../services/tenants');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Validation schemas
+const createTenantSchema = Joi.object({
+  id: Joi.string().pattern(/^[a-z0-9][a-z0-9-]*$/).max(50).required(),
+  name: Joi.string().min(1).max(100).required()
+});
+
+// Get tenants
+router.get('/', async (req, res) => {
+  try {
+    res.json(await tenants.list());
+  } catch (error) {
+    logger.error('Error fetching tenants:', error);
+    res.status(500).json({ error: 'Failed to fetch tenants' });
+  }
+});
+
+// Create tenant
+router.post('/', async (req, res) => {
+  try {
+    const { error, value } = createTenantSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    if (await tenants.get(value.id)) {
+      return res.status(409).json({ error: 'Tenant already exists' });
+    }
+
+    res.status(201).json(await tenants.create(value));
+  } catch (error) {
+    logger.error('Error creating tenant:', error);
+    res.status(500).json({ error: 'Failed to create tenant' });
+  }
+});
+
+module.exports = router;
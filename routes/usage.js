@@ -0,0 +1,59 @@
+const express = require('express');
+const Joi = require('joi');
+const usage = require('../services/usage');
+const logger = require('../utils/logger');
+const { requireScope } = require('../middleware/auth');
+
+const router = express.Router();
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Validation schemas
+const usageQuerySchema = Joi.object({
+  period: Joi.string().valid(...usage.PERIODS).default('day'),
+  group_by: Joi.string().valid(...Object.keys(usage.GROUPS)).default('tenant'),
+  from: Joi.date().iso(),
+  to: Joi.date().iso(),
+  tenant_id: Joi.string(),
+  format: Joi.string().valid('json', 'csv').default('json')
+});
+
+// Runtime hours and accrued cost per period, grouped by tenant, server or VM.
+// Covers the last 30 days unless from/to say otherwise. Tenant keys only see
+// their own tenant; admin keys see every tenant or pass ?tenant_id=.
+router.get('/', requireScope('vms:read'), async (req, res) => {
+  try {
+    const { error, value } = usageQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const to = value.to || new Date();
+    const from = value.from || new Date(to.getTime() - 30 * DAY);
+    if (from >= to) {
+      return res.status(400).json({ error: '"from" must be before "to"' });
+    }
+
+    let tenantId = value.tenant_id || null;
+    if (req.tenantFilter) {
+      if (tenantId && tenantId !== req.tenantFilter) {
+        return res.status(404).json({ error: 'Tenant not found' });
+      }
+      tenantId = req.tenantFilter;
+    }
+
+    const report = await usage.report({ period: value.period, groupBy: value.group_by, from, to, tenantId });
+
+    if (value.format === 'csv') {
+      const filename = `usage-${value.period}-${from.toISOString().slice(0, 10)}-${to.toISOString().slice(0, 10)}.csv`;
+      res.attachment(filename);
+      return res.type('text/csv').send(usage.toCSV(report));
+    }
+    res.json(report);
+  } catch (error) {
+    logger.error('Error fetching usage:', error);
+    res.status(500).json({ error: 'Failed to fetch usage' });
+  }
+});
+
+module.exports = router;
@@ -1,171 +1,660 @@
 const express = require('express');
-const axios = require('axios');
+const Joi = require('joi');
+const { v4: uuidv4 } = require('uuid');
 const logger = require('../utils/logger');
+const { requireScope, canAccess, callerId } = require('../middleware/auth');
+const providerRegistry = require('../services/providerRegistry');
+const vmStore = require('../services/vmStore');
+const jobQueue = require('../services/jobQueue');
+const quotas = require('../services/quotas');
+const placement = require('../services/placement');
+const warmPool = require('../services/warmPool');
+const vmSweeper = require('../services/vmSweeper');
+const vncSessions = require('../services/vncSessions');
+const vmLifecycle = require('../services/vmLifecycle');
+const { normalizeStatus } = require('../services/vmLifecycle');
+const { fromProviderVM, addressesFromProviderVM } = require('../services/vmStore');
+const { toErrorBody, UnsupportedOperationError } = require('../utils/errors');
 
 const router = express.Router();
 
-// Cloudflare Workers URL for VM management
-const CLOUDFLARE_WORKERS_URL = process.env.CLOUDFLARE_WORKERS_URL || 'https://chrome-vm-workers.mgmt-5e1.workers.dev';
+// Validation schemas
+const createVMSchema = Joi.object({
+  name: Joi.string().min(1).max(100).required(),
+  provider: Joi.string().valid(...providerRegistry.names()).default(providerRegistry.getDefaultName()),
+  server_id: Joi.string(),
+  instanceType: Joi.string(),
+  labels: Joi.object().pattern(Joi.string(), Joi.string()).default({}),
+  // Server preferences for providers that place VMs on registered servers
+  placement: Joi.object({
+    strategy: Joi.string().valid(...Object.keys(placement.STRATEGIES)),
+    location: Joi.string().max(100),
+    capabilities: Joi.array().items(Joi.string().max(50)).unique()
+  }).default({}),
+  // Provider to create the VM on if `provider` fails; 'none' returns the failure
+  fallback: Joi.string().valid('none', ...providerRegistry.names()).default('none'),
+  // Stop after this many idle minutes (0: never; omitted: VM_IDLE_STOP_MINUTES)
+  idle_stop_minutes: Joi.number().integer().min(0).allow(null).default(null),
+  // Delete after this many minutes unless the lease is extended (omitted: VM_TTL_MINUTES)
+  ttl_minutes: Joi.number().integer().min(1).allow(null).default(null)
+});
+
+const policySchema = Joi.object({
+  idle_stop_minutes: Joi.number().integer().min(0).allow(null),
+  // null removes the expiry
+  ttl_minutes: Joi.number().integer().min(1).allow(null)
+}).min(1);
+
+const leaseSchema = Joi.object({
+  minutes: Joi.number().integer().min(1).max(7 * 24 * 60).required()
+});
+
+const vncSessionSchema = Joi.object({
+  ttl_minutes: Joi.number().integer().min(1).max(24 * 60)
+});
+
+const labelsSchema = Joi.object({
+  labels: Joi.object().pattern(Joi.string(), Joi.string()).required()
+});
+
+const executeScriptSchema = Joi.object({
+  script: Joi.string().min(1).required(),
+  screenshot: Joi.boolean().default(false),
+  selectedText: Joi.boolean().default(false)
+});
+
+// Errors thrown with a statusCode (unknown provider, unsupported operation)
+// are returned as-is; anything else is a 500 with the given message
+const sendError = (res, error, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json(toErrorBody(error));
+  }
+  res.status(500).json({ error: message });
+};
+
+// ?label=team=growth&label=env=prod -> { team: 'growth', env: 'prod' }
+const parseLabelSelector = (label) => {
+  if (!label) {
+    return undefined;
+  }
+  return [].concat(label).reduce((labels, pair) => {
+    const [key, ...rest] = pair.split('=');
+    labels[key] = rest.join('=');
+    return labels;
+  }, {});
+};
 
-// Get all VMs - proxy to Cloudflare Workers
-router.get('/', async (req, res) => {
+// Load a VM row the caller's tenant owns, or answer 404
+const loadVM = async (req, res) => {
+  const vm = await vmStore.get(req.params.id);
+  if (!vm || !canAccess(req, vm)) {
+    res.status(404).json({ error: 'VM not found' });
+    return null;
+  }
+  return vm;
+};
+
+// List registered providers and what each one supports
+router.get('/providers', requireScope('vms:read'), (req, res) => {
+  res.json(providerRegistry.list());
+});
+
+// Get all VMs
+router.get('/', requireScope('vms:read'), async (req, res) => {
   try {
-    logger.info('Fetching VMs from Cloudflare Workers');
-    const response = await axios.get(`${CLOUDFLARE_WORKERS_URL}/vms`);
-    res.json(response.data.vms || []);
+    const { status, provider, label } = req.query;
+    const vms = await vmStore.list({
+      status,
+      provider,
+      labels: parseLabelSelector(label),
+      tenantId: req.tenantFilter
+    });
+    res.json(vms);
   } catch (error) {
-    logger.error('Error fetching VMs from Cloudflare Workers:', error);
-    res.status(500).json({ error: 'Failed to fetch VMs' });
+    logger.error('Error fetching VMs:', error);
+    sendError(res, error, 'Failed to fetch VMs');
   }
 });
 
-// Create VM - proxy to Cloudflare Workers
-router.post('/', async (req, res) => {
+// Create VM on the selected provider
+router.post('/', requireScope('vms:write'), async (req, res) => {
   try {
-    logger.info('Creating VM via Cloudflare Workers:', req.body);
-    const response = await axios.post(`${CLOUDFLARE_WORKERS_URL}/vms`, req.body);
-    res.status(201).json(response.data);
+    const { error, value } = createVMSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const provider = providerRegistry.get(value.provider);
+    // Unknown types are a 400; no type means the catalog's default
+    const instanceType = provider.resolveInstanceType(value.instanceType);
+    // The fallback's type is checked before anything is written as well; a
+    // fallback without a catalog takes no instance type at all
+    const fallbackProvider = value.fallback === 'none' || value.fallback === provider.name
+      ? null
+      : providerRegistry.get(value.fallback);
+    const fallbackType = fallbackProvider && fallbackProvider.instanceTypes.length > 0
+      ? fallbackProvider.resolveInstanceType(value.instanceType)
+      : null;
+    const policy = vmSweeper.policyFields({ idleStopMinutes: value.idle_stop_minutes, ttlMinutes: value.ttl_minutes });
+    const vmId = uuidv4();
+    let placed = null;
+    let placementError = null;
+
+    // The VM counts against the quotas from the moment it is admitted: the
+    // warm pool claim or the provisioning row happens before the next create
+    // is checked
+    const claimed = await quotas.admitVM({ tenantId: req.tenantId, serverId: value.server_id, instanceType }, async () => {
+      // A ready VM from the matching warm pool is handed out right away; VMs
+      // that need a particular server are always provisioned
+      if (!value.server_id && Object.keys(value.placement).length === 0) {
+        const fromPool = await warmPool.claim({
+          provider: provider.name,
+          instanceType,
+          name: value.name,
+          labels: value.labels,
+          tenantId: req.tenantId,
+          createdBy: callerId(req)
+        });
+        if (fromPool) {
+          return fromPool;
+        }
+      }
+
+      // The server is chosen now and recorded on the row, so the next
+      // placement already counts this VM. With a fallback provider a failed
+      // placement is handled like a failed create below.
+      try {
+        placed = await provider.place({ serverId: value.server_id, placement: value.placement });
+      } catch (error) {
+        if (!fallbackProvider) {
+          throw error;
+        }
+        placementError = error;
+      }
+
+      // Record the VM before provisioning so failures stay visible
+      await vmStore.create(vmId, {
+        name: value.name,
+        provider: provider.name,
+        server_id: placed ? placed.server.id : value.server_id,
+        instance_type: instanceType,
+        labels: value.labels,
+        status: 'provisioning',
+        tenant_id: req.tenantId,
+        created_by: callerId(req),
+        ...policy
+      });
+      return null;
+    });
+
+    if (claimed) {
+      // The lease starts when the VM is claimed, not when it was warmed
+      const vm = await vmStore.update(claimed.vm.id, policy);
+      return res.status(201).json({ ...vm, from_warm_pool: claimed.pool.id });
+    }
+
+    await vmLifecycle.record(vmId, null, 'provisioning', { reason: 'VM requested', actor: callerId(req) });
+
+    const createOn = (target) => {
+      if (target === provider && placementError) {
+        throw placementError;
+      }
+      logger.info(`Creating VM ${vmId} via provider ${target.name}`);
+      return target.createVM(vmId, {
+        name: value.name,
+        serverId: value.server_id,
+        instanceType: target === provider ? instanceType : fallbackType,
+        placement: value.placement,
+        placed: target === provider ? placed : null
+      });
+    };
+
+    // The VM row always names the provider that actually created the VM
+    let served = provider;
+    let fallback = null;
+    let created;
+    try {
+      created = await createOn(provider);
+    } catch (providerError) {
+      if (!fallbackProvider) {
+        await vmLifecycle.transition(vmId, 'error', {
+          reason: providerError.message,
+          fields: { metadata: { error: providerError.message } }
+        });
+        throw providerError;
+      }
+
+      served = fallbackProvider;
+      fallback = { from: provider.name, reason: providerError.message };
+      logger.warn(`Provider ${provider.name} failed to create VM ${vmId}, falling back to ${served.name}:`, providerError.message);
+      if (placed) {
+        // Give back the server reserved for the first provider
+        await vmStore.update(vmId, { server_id: null });
+      }
+      try {
+        created = await createOn(served);
+      } catch (fallbackError) {
+        await vmLifecycle.transition(vmId, 'error', {
+          reason: `${provider.name}: ${providerError.message}; ${served.name}: ${fallbackError.message}`,
+          fields: { provider: served.name, metadata: { error: fallbackError.message, fallback } }
+        });
+        throw fallbackError;
+      }
+    }
+
+    // Anything short of ready (or an explicit error) means the VM is booting
+    const reported = normalizeStatus(created.status);
+    const vm = await vmLifecycle.transition(vmId, ['ready', 'error'].includes(reported) ? reported : 'booting', {
+      reason: fallback
+        ? `Created by provider ${served.name} (fallback from ${provider.name})`
+        : `Created by provider ${served.name}`,
+      fields: {
+        ...fromProviderVM(created),
+        provider: served.name,
+        instance_type: created.instanceType || (served === provider ? instanceType : fallbackType),
+        last_activity: new Date().toISOString(),
+        metadata: fallback ? { ...created, fallback } : created
+      }
+    });
+
+    // Explain where the VM went when the provider chose a server
+    res.status(201).json(created.placement ? { ...vm, placement: created.placement } : vm);
   } catch (error) {
-    logger.error('Error creating VM via Cloudflare Workers:', error);
-    res.status(500).json({ error: 'Failed to create VM' });
+    logger.error('Error creating VM:', error);
+    sendError(res, error, 'Failed to create VM');
   }
 });
 
-// Get VM by ID - proxy to Cloudflare Workers
-router.get('/:id', async (req, res) => {
+// Get VM by ID
+router.get('/:id', requireScope('vms:read'), async (req, res) => {
   try {
-    logger.info(`Fetching VM ${req.params.id} from Cloudflare Workers`);
-    const response = await axios.get(`${CLOUDFLARE_WORKERS_URL}/vms/${req.params.id}`);
-    res.json(response.data);
+    const vm = await loadVM(req, res);
+    if (!vm) return;
+
+    res.json(vm);
   } catch (error) {
-    logger.error(`Error fetching VM ${req.params.id} from Cloudflare Workers:`, error);
-    res.status(500).json({ error: 'Failed to fetch VM' });
+    logger.error(`Error fetching VM ${req.params.id}:`, error);
+    sendError(res, error, 'Failed to fetch VM');
   }
 });
 
-// Delete VM - proxy to Cloudflare Workers
-router.delete('/:id', async (req, res) => {
+// Replace a VM's labels
+router.put('/:id/labels', requireScope('vms:write'), async (req, res) => {
   try {
-    logger.info(`Deleting VM ${req.params.id} via Cloudflare Workers`);
-    const response = await axios.delete(`${CLOUDFLARE_WORKERS_URL}/vms/${req.params.id}`);
-    res.json(response.data);
+    const { error, value } = labelsSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const vm = await loadVM(req, res);
+    if (!vm) return;
+
+    res.json(await vmStore.update(vm.id, { labels: value.labels }));
   } catch (error) {
-    logger.error(`Error deleting VM ${req.params.id} via Cloudflare Workers:`, error);
-    res.status(500).json({ error: 'Failed to delete VM' });
+    logger.error(`Error updating labels for VM ${req.params.id}:`, error);
+    sendError(res, error, 'Failed to update labels');
   }
 });
 
-// VM Management - proxy to Cloudflare Workers
-router.post('/:id/start', async (req, res) => {
+// Idle auto-stop and expiry of a VM, with the defaults applied
+const policyOf = (vm) => ({
+  id: vm.id,
+  idle_stop_minutes: vm.idle_stop_minutes,
+  effective_idle_stop_minutes: vmSweeper.idleStopMinutes(vm),
+  last_activity: vm.last_activity,
+  expires_at: vm.expires_at
+});
+
+router.get('/:id/policy', requireScope('vms:read'), async (req, res) => {
   try {
-    logger.info(`Starting VM ${req.params.id} via Cloudflare Workers`);
-    const response = await axios.post(`${CLOUDFLARE_WORKERS_URL}/vms/${req.params.id}/start`);
-    res.json(response.data);
+    const vm = await loadVM(req, res);
+    if (!vm) return;
+
+    res.json(policyOf(vm));
   } catch (error) {
-    logger.error(`Error starting VM ${req.params.id} via Cloudflare Workers:`, error);
-    res.status(500).json({ error: 'Failed to start VM' });
+    logger.error(`Error fetching policy for VM ${req.params.id}:`, error);
+    sendError(res, error, 'Failed to fetch VM policy');
   }
 });
 
-router.post('/:id/stop', async (req, res) => {
+// Change the idle timeout (null: the default) or set a new TTL from now
+// (null: never expire)
+router.put('/:id/policy', requireScope('vms:write'), async (req, res) => {
   try {
-    logger.info(`Stopping VM ${req.params.id} via Cloudflare Workers`);
-    const response = await axios.post(`${CLOUDFLARE_WORKERS_URL}/vms/${req.params.id}/stop`);
-    res.json(response.data);
+    const { error, value } = policySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const vm = await loadVM(req, res);
+    if (!vm) return;
+
+    const fields = {};
+    if (value.idle_stop_minutes !== undefined) {
+      fields.idle_stop_minutes = value.idle_stop_minutes;
+    }
+    if (value.ttl_minutes !== undefined) {
+      fields.expires_at = value.ttl_minutes
+        ? new Date(Date.now() + value.ttl_minutes * 60 * 1000).toISOString()
+        : null;
+    }
+
+    res.json(policyOf(await vmStore.update(vm.id, fields)));
   } catch (error) {
-    logger.error(`Error stopping VM ${req.params.id} via Cloudflare Workers:`, error);
-    res.status(500).json({ error: 'Failed to stop VM' });
+    logger.error(`Error updating policy for VM ${req.params.id}:`, error);
+    sendError(res, error, 'Failed to update VM policy');
   }
 });
 
-router.post('/:id/restart', async (req, res) => {
+// Extend the lease by `minutes` and restart the idle clock
+router.post('/:id/lease', requireScope('vms:write'), async (req, res) => {
   try {
-    logger.info(`Restarting VM ${req.params.id} via Cloudflare Workers`);
-    const response = await axios.post(`${CLOUDFLARE_WORKERS_URL}/vms/${req.params.id}/restart`);
-    res.json(response.data);
+    const { error, value } = leaseSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const vm = await loadVM(req, res);
+    if (!vm) return;
+    if (['deleting', 'deleted'].includes(vm.status)) {
+      return res.status(409).json({ error: `VM is ${vm.status}` });
+    }
+
+    res.json(policyOf(await vmSweeper.extendLease(vm.id, value.minutes)));
   } catch (error) {
-    logger.error(`Error restarting VM ${req.params.id} via Cloudflare Workers:`, error);
-    res.status(500).json({ error: 'Failed to restart VM' });
+    logger.error(`Error extending lease for VM ${req.params.id}:`, error);
+    sendError(res, error, 'Failed to extend VM lease');
   }
 });
 
-router.get('/:id/status', async (req, res) => {
+// Open a noVNC viewer session. The token in viewer_url is the only way into
+// /vnc/:vmId and its WebSocket, and is only returned here.
+router.post('/:id/vnc-sessions', requireScope('vms:write'), async (req, res) => {
   try {
-    logger.info(`Getting status for VM ${req.params.id} from Cloudflare Workers`);
-    const response = await axios.get(`${CLOUDFLARE_WORKERS_URL}/vms/${req.params.id}/status`);
-    res.json(response.data);
+    const { error, value } = vncSessionSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const vm = await loadVM(req, res);
+    if (!vm) return;
+    if (['deleting', 'deleted'].includes(vm.status)) {
+      return res.status(409).json({ error: `VM is ${vm.status}` });
+    }
+
+    const session = await vncSessions.create({
+      vmId: vm.id,
+      tenantId: vm.tenant_id,
+      createdBy: callerId(req),
+      ttlMinutes: value.ttl_minutes
+    });
+    const query = `token=${encodeURIComponent(session.token)}`;
+    res.status(201).json({
+      ...session,
+      viewer_url: `/vnc/${vm.id}?${query}`,
+      websocket_path: `/vnc/${vm.id}/websockify?${query}`
+    });
   } catch (error) {
-    logger.error(`Error getting status for VM ${req.params.id} from Cloudflare Workers:`, error);
-    res.status(500).json({ error: 'Failed to get VM status' });
+    logger.error(`Error opening VNC session for VM ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to open VNC session' });
   }
 });
 
-// Script Execution - proxy to Cloudflare Workers
-router.post('/:id/scripts', async (req, res) => {
+// Revoke a viewer token; connections already open stay up
+router.delete('/:id/vnc-sessions/:sessionId', requireScope('vms:write'), async (req, res) => {
   try {
-    logger.info(`Executing script on VM ${req.params.id} via Cloudflare Workers`);
-    const response = await axios.post(`${CLOUDFLARE_WORKERS_URL}/vms/${req.params.id}/scripts`, req.body);
-    res.json(response.data);
+    const vm = await loadVM(req, res);
+    if (!vm) return;
+
+    if (!(await vncSessions.revoke(vm.id, req.params.sessionId))) {
+      return res.status(404).json({ error: 'VNC session not found' });
+    }
+    res.json({ message: 'VNC session revoked successfully', id: req.params.sessionId });
   } catch (error) {
-    logger.error(`Error executing script on VM ${req.params.id} via Cloudflare Workers:`, error);
-    res.status(500).json({ error: 'Failed to execute script' });
+    logger.error(`Error revoking VNC session ${req.params.sessionId}:`, error);
+    res.status(500).json({ error: 'Failed to revoke VNC session' });
   }
 });
 
-router.get('/:id/scripts', async (req, res) => {
+// Delete VM; ?force=true marks it deleted even if the provider call fails.
+// Deleted VMs keep their row and transition history.
+router.delete('/:id', requireScope('vms:write'), async (req, res) => {
   try {
-    logger.info(`Fetching scripts for VM ${req.params.id} from Cloudflare Workers`);
-    const response = await axios.get(`${CLOUDFLARE_WORKERS_URL}/vms/${req.params.id}/scripts`);
-    res.json(response.data);
+    const vm = await loadVM(req, res);
+    if (!vm) return;
+
+    const actor = callerId(req);
+    await vmLifecycle.transition(vm.id, 'deleting', { reason: 'Delete requested', actor });
+
+    const provider = providerRegistry.get(vm.provider);
+    logger.info(`Deleting VM ${vm.id} via provider ${provider.name}`);
+    try {
+      await provider.deleteVM(vm.id);
+    } catch (providerError) {
+      if (req.query.force !== 'true') {
+        await vmLifecycle.transition(vm.id, 'error', { reason: `Delete failed: ${providerError.message}`, actor });
+        throw providerError;
+      }
+      logger.warn(`Provider failed to delete VM ${vm.id}, marking it deleted anyway:`, providerError.message);
+    }
+
+    await vmLifecycle.transition(vm.id, 'deleted', { reason: 'Deleted by provider', actor });
+    res.json({ message: 'VM deleted successfully', id: vm.id });
   } catch (error) {
-    logger.error(`Error fetching scripts for VM ${req.params.id} from Cloudflare Workers:`, error);
+    logger.error(`Error deleting VM ${req.params.id}:`, error.message);
+    sendError(res, error, 'Failed to delete VM');
+  }
+});
+
+// A failed start, stop or restart puts the VM back in the state it was in,
+// unless the provider now reports it as broken
+const settleFailedPowerChange = async (vm, provider, reason, actor) => {
+  let reported = null;
+  try {
+    const providerStatus = await provider.getVMStatus(vm.id);
+    reported = normalizeStatus(providerStatus && providerStatus.status);
+  } catch (statusError) {
+    logger.warn(`Could not check VM ${vm.id} after a failed power change:`, statusError.message);
+  }
+
+  if (reported === 'error') {
+    await vmLifecycle.transition(vm.id, 'error', { reason, actor });
+  } else {
+    await vmLifecycle.revert(vm.id, vm.status, { reason, actor });
+  }
+};
+
+// Run a start/stop/restart: enter `pending` before calling the provider,
+// then `done` unless the provider reports otherwise
+const changePowerState = async (req, res, { action, operation, method, pending, done }) => {
+  const vm = await loadVM(req, res);
+  if (!vm) return;
+
+  // Refuse before touching the VM's state
+  const provider = providerRegistry.get(vm.provider);
+  if (!provider.supports(operation)) {
+    throw new UnsupportedOperationError(provider.name, operation);
+  }
+
+  const actor = callerId(req);
+  await vmLifecycle.transition(vm.id, pending, { reason: `${action} requested`, actor });
+
+  logger.info(`${action} VM ${vm.id} via provider ${provider.name}`);
+  let result;
+  try {
+    result = await provider[method](vm.id);
+  } catch (providerError) {
+    await settleFailedPowerChange(vm, provider, `${action} failed: ${providerError.message}`, actor);
+    throw providerError;
+  }
+
+  const reported = normalizeStatus(result && result.status);
+  const target = reported && reported !== pending ? reported : done;
+  res.json(await vmLifecycle.transition(vm.id, target, {
+    reason: `${action} completed by provider ${provider.name}`,
+    actor,
+    fields: { ...addressesFromProviderVM(result || {}), last_activity: new Date().toISOString() }
+  }));
+};
+
+// VM Management
+router.post('/:id/start', requireScope('vms:write'), async (req, res) => {
+  try {
+    await changePowerState(req, res, { action: 'Start', operation: 'start', method: 'startVM', pending: 'booting', done: 'ready' });
+  } catch (error) {
+    logger.error(`Error starting VM ${req.params.id}:`, error.message);
+    sendError(res, error, 'Failed to start VM');
+  }
+});
+
+router.post('/:id/stop', requireScope('vms:write'), async (req, res) => {
+  try {
+    await changePowerState(req, res, { action: 'Stop', operation: 'stop', method: 'stopVM', pending: 'stopping', done: 'stopped' });
+  } catch (error) {
+    logger.error(`Error stopping VM ${req.params.id}:`, error.message);
+    sendError(res, error, 'Failed to stop VM');
+  }
+});
+
+router.post('/:id/restart', requireScope('vms:write'), async (req, res) => {
+  try {
+    await changePowerState(req, res, { action: 'Restart', operation: 'restart', method: 'restartVM', pending: 'booting', done: 'ready' });
+  } catch (error) {
+    logger.error(`Error restarting VM ${req.params.id}:`, error.message);
+    sendError(res, error, 'Failed to restart VM');
+  }
+});
+
+// Status from the database; ?refresh=true asks the provider first
+router.get('/:id/status', requireScope('vms:read'), async (req, res) => {
+  try {
+    let vm = await loadVM(req, res);
+    if (!vm) return;
+
+    if (req.query.refresh === 'true') {
+      const provider = providerRegistry.get(vm.provider);
+      const providerStatus = await provider.getVMStatus(vm.id);
+      vm = await vmLifecycle.observe(vm.id, providerStatus && providerStatus.status, {
+        reason: `Status refresh from provider ${provider.name}`,
+        actor: callerId(req)
+      });
+      vm = await vmStore.update(vm.id, addressesFromProviderVM(providerStatus || {}));
+    }
+
+    res.json({
+      id: vm.id,
+      status: vm.status,
+      provider: vm.provider,
+      last_activity: vm.last_activity,
+      updated_at: vm.updated_at
+    });
+  } catch (error) {
+    logger.error(`Error getting status for VM ${req.params.id}:`, error);
+    sendError(res, error, 'Failed to get VM status');
+  }
+});
+
+// Every status change of the VM, oldest first
+router.get('/:id/transitions', requireScope('vms:read'), async (req, res) => {
+  try {
+    const vm = await loadVM(req, res);
+    if (!vm) return;
+
+    res.json(await vmLifecycle.history(vm.id));
+  } catch (error) {
+    logger.error(`Error fetching transitions for VM ${req.params.id}:`, error);
+    sendError(res, error, 'Failed to fetch VM transitions');
+  }
+});
+
+// Script Execution - queued; poll GET /api/jobs/:id for the result
+router.post('/:id/scripts', requireScope('scripts:run'), async (req, res) => {
+  try {
+    const { error, value } = executeScriptSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const vm = await loadVM(req, res);
+    if (!vm) return;
+
+    const { script, ...options } = value;
+    const job = await quotas.admitJobs(req.tenantId, 1, () => jobQueue.enqueue({
+      vmId: vm.id,
+      script,
+      options,
+      tenantId: req.tenantId,
+      createdBy: callerId(req)
+    }));
+
+    res.status(202).location(`/api/jobs/${job.id}`).json(job);
+  } catch (error) {
+    logger.error(`Error queueing script on VM ${req.params.id}:`, error);
+    sendError(res, error, 'Failed to queue script');
+  }
+});
+
+router.get('/:id/scripts', requireScope('vms:read'), async (req, res) => {
+  try {
+    const vm = await loadVM(req, res);
+    if (!vm) return;
+
+    const jobs = await jobQueue.listJobs({ vmId: vm.id, status: req.query.status, tenantId: req.tenantFilter });
+    res.json(jobs);
+  } catch (error) {
+    logger.error(`Error fetching scripts for VM ${req.params.id}:`, error);
     res.status(500).json({ error: 'Failed to fetch scripts' });
   }
 });
 
-// Metrics and Monitoring - proxy to Cloudflare Workers
-router.get('/:id/metrics', async (req, res) => {
+// Metrics and Monitoring - served by the VM's provider; providers without a
+// monitoring source answer 501
+router.get('/:id/metrics', requireScope('vms:read'), async (req, res) => {
   try {
-    logger.info(`Fetching metrics for VM ${req.params.id} from Cloudflare Workers`);
-    const response = await axios.get(`${CLOUDFLARE_WORKERS_URL}/vms/${req.params.id}/metrics`);
-    res.json(response.data);
+    const vm = await loadVM(req, res);
+    if (!vm) return;
+
+    res.json(await providerRegistry.get(vm.provider).getMetrics(vm.id));
   } catch (error) {
-    logger.error(`Error fetching metrics for VM ${req.params.id} from Cloudflare Workers:`, error);
-    res.status(500).json({ error: 'Failed to fetch metrics' });
+    logger.error(`Error fetching metrics for VM ${req.params.id}:`, error);
+    sendError(res, error, 'Failed to fetch metrics');
   }
 });
 
-router.post('/:id/metrics', async (req, res) => {
+router.post('/:id/metrics', requireScope('vms:write'), async (req, res) => {
   try {
-    logger.info(`Recording metrics for VM ${req.params.id} via Cloudflare Workers`);
-    const response = await axios.post(`${CLOUDFLARE_WORKERS_URL}/vms/${req.params.id}/metrics`, req.body);
-    res.json(response.data);
+    const vm = await loadVM(req, res);
+    if (!vm) return;
+
+    res.json(await providerRegistry.get(vm.provider).recordMetrics(vm.id, req.body));
   } catch (error) {
-    logger.error(`Error recording metrics for VM ${req.params.id} via Cloudflare Workers:`, error);
-    res.status(500).json({ error: 'Failed to record metrics' });
+    logger.error(`Error recording metrics for VM ${req.params.id}:`, error);
+    sendError(res, error, 'Failed to record metrics');
   }
 });
 
-// Events and Logs - proxy to Cloudflare Workers
-router.get('/:id/events', async (req, res) => {
+// Events and Logs - served by the VM's provider, like metrics
+router.get('/:id/events', requireScope('vms:read'), async (req, res) => {
   try {
-    logger.info(`Fetching events for VM ${req.params.id} from Cloudflare Workers`);
-    const response = await axios.get(`${CLOUDFLARE_WORKERS_URL}/vms/${req.params.id}/events`);
-    res.json(response.data);
+    const vm = await loadVM(req, res);
+    if (!vm) return;
+
+    res.json(await providerRegistry.get(vm.provider).getEvents(vm.id));
   } catch (error) {
-    logger.error(`Error fetching events for VM ${req.params.id} from Cloudflare Workers:`, error);
-    res.status(500).json({ error: 'Failed to fetch events' });
+    logger.error(`Error fetching events for VM ${req.params.id}:`, error);
+    sendError(res, error, 'Failed to fetch events');
   }
 });
 
-router.get('/:id/logs', async (req, res) => {
+router.get('/:id/logs', requireScope('vms:read'), async (req, res) => {
   try {
-    logger.info(`Fetching logs for VM ${req.params.id} from Cloudflare Workers`);
-    const response = await axios.get(`${CLOUDFLARE_WORKERS_URL}/vms/${req.params.id}/logs`);
-    res.json(response.data);
+    const vm = await loadVM(req, res);
+    if (!vm) return;
+
+    res.json(await providerRegistry.get(vm.provider).getLogs(vm.id));
   } catch (error) {
-    logger.error(`Error fetching logs for VM ${req.params.id} from Cloudflare Workers:`, error);
-    res.status(500).json({ error: 'Failed to fetch logs' });
+    logger.error(`Error fetching logs for VM ${req.params.id}:`, error);
+    sendError(res, error, 'Failed to fetch logs');
   }
 });
 
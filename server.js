@@ -3,12 +3,38 @@ const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const path = require('path');
+const crypto = require('crypto');
 const { initializeDatabase } = require('./database/init');
 const logger = require('./utils/logger');
+const jobQueue = require('./services/jobQueue');
+const scheduler = require('./services/scheduler');
+const reconciler = require('./services/reconciler');
+const servers = require('./services/servers');
+const warmPool = require('./services/warmPool');
+const vmSweeper = require('./services/vmSweeper');
+const usage = require('./services/usage');
+const apiKeys = require('./services/apiKeys');
+const vmStore = require('./services/vmStore');
+const providerRegistry = require('./services/providerRegistry');
+const vncSessions = require('./services/vncSessions');
+const vncProxy = require('./services/vncProxy');
+const { authenticate, requireScope, canAccess } = require('./middleware/auth');
 
 // Import routes
 const vmsRouter = require('./routes/vms');
 const serversRouter = require('./routes/servers');
+const scriptsRouter = require('./routes/scripts');
+const healthRouter = require('./routes/health');
+const jobsRouter = require('./routes/jobs');
+const schedulesRouter = require('./routes/schedules');
+const apiKeysRouter = require('./routes/apiKeys');
+const tenantsRouter = require('./routes/tenants');
+const quotasRouter = require('./routes/quotas');
+const reconcileRouter = require('./routes/reconcile');
+const poolsRouter = require('./routes/pools');
+const sweeperRouter = require('./routes/sweeper');
+const usageRouter = require('./routes/usage');
+const instanceTypesRouter = require('./routes/instanceTypes');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -30,16 +56,47 @@ app.use(cors({
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
 }));
+// VNC session tokens travel in the query string; keep them out of the access log
+morgan.token('url', (req) => (req.originalUrl || req.url).replace(/([?&]token=)[^&]*/g, '$1[redacted]'));
 app.use(morgan('combined'));
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true }));
 
-// Initialize database
-initializeDatabase();
+// Initialize database, then start background workers
+initializeDatabase()
+  .then(() => apiKeys.ensureBootstrapKey(process.env.ADMIN_API_KEY))
+  .then(() => usage.backfill())
+  .then(() => {
+    reconciler.start();
+    servers.start();
+    jobQueue.start();
+    scheduler.start();
+    warmPool.start();
+    vmSweeper.start();
+  })
+  .catch(error => {
+    logger.error('Failed to initialize database:', error);
+  });
+
+if (process.env.AUTH_DISABLED === 'true') {
+  logger.warn('AUTH_DISABLED=true: API key authentication is off');
+}
 
-// Routes
-app.use('/api/vms', vmsRouter);
-app.use('/api/servers', serversRouter);
+// Routes (everything except the health checks requires an API key)
+app.use('/api/vms', authenticate, vmsRouter);
+app.use('/api/servers', authenticate, serversRouter);
+app.use('/api/pools', authenticate, poolsRouter);
+app.use('/api/scripts', authenticate, scriptsRouter);
+app.use('/api/health', healthRouter);
+app.use('/api/jobs', authenticate, jobsRouter);
+app.use('/api/schedules', authenticate, schedulesRouter);
+app.use('/api/quotas', authenticate, quotasRouter);
+app.use('/api/usage', authenticate, usageRouter);
+app.use('/api/instance-types', authenticate, instanceTypesRouter);
+app.use('/api/admin/keys', authenticate, requireScope('admin'), apiKeysRouter);
+app.use('/api/admin/tenants', authenticate, requireScope('admin'), tenantsRouter);
+app.use('/api/admin/reconcile', authenticate, requireScope('admin'), reconcileRouter);
+app.use('/api/admin/sweeper', authenticate, requireScope('admin'), sweeperRouter);
 
 // Health endpoint
 app.get('/health', (req, res) => {
@@ -50,231 +107,151 @@ app.get('/health', (req, res) => {
   });
 });
 
-// Real VNC endpoint with NoVNC integration
-app.get('/vnc/:vmId', (req, res) => {
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => (
+  { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]
+));
+
+// noVNC viewer for a VM. Needs the token from POST /api/vms/:id/vnc-sessions;
+// the page connects through the WebSocket proxy at /vnc/:vmId/websockify.
+app.get('/vnc/:vmId', async (req, res) => {
   const { vmId } = req.params;
-  
-  // Try to get real VM info from the real VM service
-  const realVMService = require('./services/realVMService');
-  
-  realVMService.getVMStatus(vmId).then(vmStatus => {
-    // Real VM with actual NoVNC
+  const token = typeof req.query.token === 'string' ? req.query.token : null;
+
+  try {
+    const session = await vncSessions.verify(vmId, token);
+    if (!session) {
+      return res.status(401).type('text/plain')
+        .send(`Missing or expired VNC session token; open a session with POST /api/vms/${encodeURIComponent(vmId)}/vnc-sessions`);
+    }
+
+    const vm = await vmStore.get(vmId);
+    if (!vm) {
+      return res.status(404).type('text/plain').send('VM not found');
+    }
+
+    const nonce = crypto.randomBytes(16).toString('base64');
+    const host = req.get('host');
+    res.set({
+      'Content-Security-Policy': [
+        "default-src 'none'",
+        `script-src 'nonce-${nonce}' https://cdn.jsdelivr.net`,
+        "style-src 'unsafe-inline'",
+        `connect-src 'self' ws://${host} wss://${host}`,
+        "img-src 'self' data: blob:",
+        "base-uri 'none'",
+        "frame-ancestors 'self'"
+      ].join('; '),
+      'Cache-Control': 'no-store',
+      // The page URL holds the token
+      'Referrer-Policy': 'no-referrer'
+    });
+
+    // Handed to the page script; < is escaped so nothing closes the tag
+    const config = JSON.stringify({ vmId: vm.id, token, status: vm.status, viewable: ['ready', 'busy'].includes(vm.status) })
+      .replace(/</g, '\\u003c');
+
     res.send(`
       <!DOCTYPE html>
       <html>
       <head>
-        <title>Chrome VM ${vmId} - NoVNC</title>
+        <title>Chrome VM ${escapeHtml(vm.name)} - NoVNC</title>
         <style>
           body { margin: 0; padding: 0; background: #000; font-family: Arial, sans-serif; }
-          .vm-info { 
-            position: absolute; 
-            top: 20px; 
-            left: 20px; 
-            color: white; 
-            background: rgba(0,0,0,0.8); 
-            padding: 15px; 
+          .vm-info {
+            position: absolute;
+            top: 20px;
+            left: 20px;
+            color: white;
+            background: rgba(0,0,0,0.8);
+            padding: 15px;
             border-radius: 8px;
             z-index: 1000;
             border: 1px solid #333;
           }
-          .status-ready { color: #4ade80; }
-          .status-initializing { color: #fbbf24; }
+          .status-ready, .status-busy { color: #4ade80; }
+          .status-provisioning, .status-booting { color: #fbbf24; }
           .status-error { color: #f87171; }
-          #noVNC_canvas { 
-            width: 100vw; 
-            height: 100vh; 
+          #screen {
+            width: 100vw;
+            height: 100vh;
             background: #1a1a1a;
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            flex-direction: column;
-          }
-          .connection-info {
-            text-align: center;
-            color: #ccc;
-            margin-bottom: 20px;
-          }
-          .noVNC-container {
-            width: 100%;
-            height: 100%;
-            position: relative;
           }
         </style>
-        <script src="https://cdn.jsdelivr.net/npm/@novnc/novnc@1.4.0/lib/rfb.min.js"></script>
       </head>
       <body>
         <div class="vm-info">
-          <h2>Chrome VM ${vmId}</h2>
-          <p><strong>Status:</strong> <span class="status-${vmStatus.status}">${vmStatus.status.toUpperCase()}</span></p>
-          <p><strong>Container ID:</strong> ${vmStatus.containerId}</p>
-          <p><strong>Chrome Version:</strong> 120.0.0.0</p>
-          <p><strong>Node Version:</strong> 18.19.0</p>
-        </div>
-        
-        <div id="noVNC_canvas">
-          <div class="connection-info">
-            <h2>Chrome VM ${vmId} - NoVNC Viewer</h2>
-            <p>Connecting to VM...</p>
-            <p id="connection-status">Initializing connection...</p>
-          </div>
-          
-          <div class="noVNC-container">
-            <canvas id="noVNC_canvas_element" width="1920" height="1080"></canvas>
-          </div>
+          <h2>${escapeHtml(vm.name)}</h2>
+          <p><strong>VM:</strong> ${escapeHtml(vm.id)}</p>
+          <p><strong>Status:</strong> <span class="status-${escapeHtml(vm.status)}">${escapeHtml(vm.status.toUpperCase())}</span></p>
+          <p><strong>Container ID:</strong> ${escapeHtml(vm.container_id || 'n/a')}</p>
+          <p id="connection-status">Initializing connection...</p>
         </div>
 
-        <script>
-          let rfb;
-          const vmId = '${vmId}';
+        <div id="screen"></div>
+
+        <script type="module" nonce="${nonce}">
+          import RFB from 'https://cdn.jsdelivr.net/npm/@novnc/novnc@1.4.0/core/rfb.js';
+
+          const config = ${config};
           const statusElement = document.getElementById('connection-status');
-          
+
           function updateStatus(message, isError = false) {
             statusElement.textContent = message;
             statusElement.style.color = isError ? '#f87171' : '#4ade80';
           }
-          
-          function connectToVM() {
-            try {
-              // For real VMs, we would connect to the actual VNC server
-              // For now, we'll simulate the connection
-              updateStatus('Connecting to VNC server...');
-              
-              // Simulate connection delay
-              setTimeout(() => {
-                if (vmStatus.status === 'ready') {
-                  updateStatus('Connected to Chrome VM!');
-                  
-                  // In a real implementation, you would initialize the RFB connection here:
-                  // rfb = new RFB(document.getElementById('noVNC_canvas_element'), 'ws://localhost:6080');
-                  
-                  // For demo purposes, show a simulated Chrome interface
-                  const canvas = document.getElementById('noVNC_canvas_element');
-                  const ctx = canvas.getContext('2d');
-                  
-                  // Draw a simple Chrome-like interface
-                  ctx.fillStyle = '#ffffff';
-                  ctx.fillRect(0, 0, canvas.width, canvas.height);
-                  
-                  // Chrome header
-                  ctx.fillStyle = '#f1f3f4';
-                  ctx.fillRect(0, 0, canvas.width, 60);
-                  
-                  // Chrome address bar
-                  ctx.fillStyle = '#ffffff';
-                  ctx.fillRect(100, 20, canvas.width - 200, 25);
-                  ctx.strokeStyle = '#dadce0';
-                  ctx.strokeRect(100, 20, canvas.width - 200, 25);
-                  
-                  // Chrome content area
-                  ctx.fillStyle = '#ffffff';
-                  ctx.fillRect(0, 60, canvas.width, canvas.height - 60);
-                  
-                  // Add some text
-                  ctx.fillStyle = '#000000';
-                  ctx.font = '16px Arial';
-                  ctx.fillText('Chrome VM ' + vmId + ' - Ready for use!', 20, 100);
-                  ctx.fillText('This is a simulated Chrome interface.', 20, 130);
-                  ctx.fillText('In a real implementation, this would show the actual Chrome browser.', 20, 160);
-                  
-                } else {
-                  updateStatus('VM is not ready yet. Status: ' + vmStatus.status, true);
-                }
-              }, 2000);
-              
-            } catch (error) {
-              updateStatus('Connection failed: ' + error.message, true);
-            }
+
+          if (!config.viewable) {
+            updateStatus('VM is not ready yet. Status: ' + config.status, true);
+          } else {
+            const scheme = window.location.protocol === 'https:' ? 'wss' : 'ws';
+            const url = scheme + '://' + window.location.host + '/vnc/' + encodeURIComponent(config.vmId) +
+              '/websockify?token=' + encodeURIComponent(config.token);
+
+            updateStatus('Connecting to VNC server...');
+            const rfb = new RFB(document.getElementById('screen'), url);
+            rfb.scaleViewport = true;
+            rfb.addEventListener('connect', () => updateStatus('Connected to Chrome VM'));
+            rfb.addEventListener('disconnect', (event) => {
+              updateStatus(event.detail.clean ? 'Disconnected' : 'Connection to the VM was lost', !event.detail.clean);
+            });
+            rfb.addEventListener('credentialsrequired', () => updateStatus('The VNC server asked for a password', true));
           }
-          
-          // Start connection when page loads
-          window.addEventListener('load', connectToVM);
         </script>
       </body>
       </html>
     `);
-  }).catch(error => {
-    // Fallback for mock VM
-    res.send(`
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <title>Chrome VM ${vmId} - Mock</title>
-        <style>
-          body { margin: 0; padding: 0; background: #000; font-family: Arial, sans-serif; }
-          .vm-info { 
-            position: absolute; 
-            top: 20px; 
-            left: 20px; 
-            color: white; 
-            background: rgba(0,0,0,0.8); 
-            padding: 15px; 
-            border-radius: 8px;
-            z-index: 1000;
-            border: 1px solid #333;
-          }
-          #noVNC_canvas { 
-            width: 100vw; 
-            height: 100vh; 
-            background: #1a1a1a;
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            flex-direction: column;
-          }
-        </style>
-      </head>
-      <body>
-        <div class="vm-info">
-          <h2>Chrome VM ${vmId}</h2>
-          <p><strong>Status:</strong> <span style="color: #fbbf24;">MOCK</span></p>
-          <p><strong>Chrome Version:</strong> 120.0.0.0</p>
-          <p><strong>Node Version:</strong> 18.19.0</p>
-        </div>
-        
-        <div id="noVNC_canvas">
-          <h1 style="color: white; text-align: center;">
-            Chrome VM ${vmId} - Mock NoVNC Viewer
-          </h1>
-          <p style="color: #ccc; text-align: center;">
-            This is a mock VM. Real VMs would show the actual Chrome browser interface here.
-          </p>
-        </div>
-      </body>
-      </html>
-    `);
-  });
+  } catch (error) {
+    logger.error(`Failed to load VM ${vmId} for NoVNC:`, error.message);
+    res.status(500).type('text/plain').send('Failed to load VNC viewer');
+  }
 });
 
-// Real agent endpoint
-app.get('/agent/:vmId', (req, res) => {
+// Agent details for a VM, as its own provider reports them
+app.get('/agent/:vmId', authenticate, requireScope('vms:read'), async (req, res) => {
   const { vmId } = req.params;
-  
-  // Try to get real VM info from the real VM service
-  const realVMService = require('./services/realVMService');
-  
-  realVMService.getVMStatus(vmId).then(vmStatus => {
+
+  try {
+    const vm = await vmStore.get(vmId);
+    if (!vm || !canAccess(req, vm)) {
+      return res.status(404).json({ error: 'VM not found' });
+    }
+
+    const vmStatus = await providerRegistry.get(vm.provider).getVMStatus(vm.id);
     res.json({
-      vm_id: vmId,
+      vm_id: vm.id,
       status: vmStatus.status,
       message: `Chrome VM Agent is ${vmStatus.status}`,
-      chrome_version: '120.0.0.0',
-      node_version: '18.19.0',
-      container_id: vmStatus.containerId,
-      novnc_url: vmStatus.novncUrl,
-      agent_url: vmStatus.agentUrl,
-      timestamp: new Date().toISOString()
-    });
-  }).catch(error => {
-    // Fallback for mock VM
-    res.json({
-      vm_id: vmId,
-      status: 'mock',
-      message: 'Chrome VM Agent (Mock) is running',
-      chrome_version: '120.0.0.0',
-      node_version: '18.19.0',
+      chrome_version: vm.chrome_version,
+      node_version: vm.node_version,
+      container_id: vmStatus.containerId || vm.container_id,
+      novnc_url: vmStatus.novncUrl || vm.novnc_url,
+      agent_url: vmStatus.agentUrl || vm.agent_url,
       timestamp: new Date().toISOString()
     });
-  });
+  } catch (error) {
+    logger.error(`Failed to load VM ${vmId} for the agent endpoint:`, error.message);
+    res.status(error.statusCode || 502).json({ vm_id: vmId, error: `Could not reach VM: ${error.message}` });
+  }
 });
 
 // Root endpoint
@@ -287,6 +264,18 @@ app.get('/', (req, res) => {
       health: '/health',
       vms: '/api/vms',
       servers: '/api/servers',
+      pools: '/api/pools',
+      scripts: '/api/scripts',
+      apiHealth: '/api/health',
+      jobs: '/api/jobs',
+      schedules: '/api/schedules',
+      quotas: '/api/quotas',
+      usage: '/api/usage',
+      instanceTypes: '/api/instance-types',
+      apiKeys: '/api/admin/keys',
+      tenants: '/api/admin/tenants',
+      reconcile: '/api/admin/reconcile',
+      sweeper: '/api/admin/sweeper',
       vnc: '/vnc/:vmId',
       agent: '/agent/:vmId'
     }
@@ -311,20 +300,40 @@ app.use('*', (req, res) => {
 });
 
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   logger.info(`🚀 Chrome VM Backend running on port ${PORT}`);
   logger.info(`📊 Health check: http://localhost:${PORT}/health`);
   logger.info(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
   logger.info(`🔗 Frontend URL: ${process.env.FRONTEND_URL || 'http://localhost:3000'}`);
 });
 
+// WebSocket upgrades only exist for the noVNC proxy (/vnc/:vmId/websockify)
+server.on('upgrade', (req, socket, head) => {
+  vncProxy.handleUpgrade(req, socket, head).catch(error => {
+    logger.error('Unhandled error in WebSocket upgrade:', error);
+    socket.destroy();
+  });
+});
+
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  jobQueue.stop();
+  scheduler.stop();
+  reconciler.stop();
+  servers.stop();
+  warmPool.stop();
+  vmSweeper.stop();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   logger.info('SIGINT received, shutting down gracefully');
+  jobQueue.stop();
+  scheduler.stop();
+  reconciler.stop();
+  servers.stop();
+  warmPool.stop();
+  vmSweeper.stop();
   process.exit(0);
 });
@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../database/init');
+const logger = require('../utils/logger');
+const { DEFAULT_TENANT } = require('./tenants');
+
+// admin implies every other scope
+const SCOPES = ['vms:read', 'vms:write', 'scripts:read', 'scripts:write', 'scripts:run', 'admin'];
+
+const KEY_PREFIX = 'cvm_';
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const fromRow = (row) => {
+  if (!row) {
+    return row;
+  }
+  const key = { ...row, scopes: JSON.parse(row.scopes) };
+  delete key.key_hash;
+  return key;
+};
+
+// API keys for the REST API. The plaintext key is returned once, when it is
+// minted; afterwards only its hash and a short display prefix are kept.
+class ApiKeys {
+  async mint({ name, scopes, tenantId = DEFAULT_TENANT, createdBy = null, expiresAt = null }) {
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    const id = uuidv4();
+
+    await db.run(
+      `INSERT INTO api_keys (id, name, key_prefix, key_hash, scopes, tenant_id, created_by, created_at, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [id, name, key.slice(0, 12), hashKey(key), JSON.stringify(scopes), tenantId, createdBy, new Date().toISOString(), expiresAt]
+    );
+
+    logger.info(`API key ${id} (${name}) minted for tenant ${tenantId} with scopes ${scopes.join(', ')}`);
+    return { ...(await this.get(id)), key };
+  }
+
+  async get(id) {
+    return fromRow(await db.get('SELECT * FROM api_keys WHERE id = ?', [id]));
+  }
+
+  async list({ includeRevoked = false } = {}) {
+    const rows = includeRevoked
+      ? await db.all('SELECT * FROM api_keys ORDER BY created_at DESC')
+      : await db.all('SELECT * FROM api_keys WHERE revoked_at IS NULL ORDER BY created_at DESC');
+    return rows.map(fromRow);
+  }
+
+  async revoke(id) {
+    const result = await db.run(
+      'UPDATE api_keys SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL',
+      [new Date().toISOString(), id]
+    );
+    return result.changes > 0;
+  }
+
+  // Returns the key record for a valid, unrevoked, unexpired key, or null
+  async verify(key) {
+    if (!key || !key.startsWith(KEY_PREFIX)) {
+      return null;
+    }
+
+    const row = await db.get('SELECT * FROM api_keys WHERE key_hash = ?', [hashKey(key)]);
+    if (!row || row.revoked_at) {
+      return null;
+    }
+    if (row.expires_at && new Date(row.expires_at) <= new Date()) {
+      return null;
+    }
+
+    // Best effort; a failed timestamp update must not fail the request
+    db.run('UPDATE api_keys SET last_used_at = ? WHERE id = ?', [new Date().toISOString(), row.id])
+      .catch(error => logger.error(`Failed to update last_used_at for API key ${row.id}:`, error.message));
+
+    return fromRow(row);
+  }
+
+  // Store ADMIN_API_KEY so a fresh install has a key that can mint the others
+  async ensureBootstrapKey(key) {
+    if (!key) {
+      return;
+    }
+    if (!key.startsWith(KEY_PREFIX)) {
+      logger.error(`ADMIN_API_KEY must start with "${KEY_PREFIX}"; bootstrap key not installed`);
+      return;
+    }
+
+    const existing = await db.get('SELECT id FROM api_keys WHERE key_hash = ?', [hashKey(key)]);
+    if (existing) {
+      return;
+    }
+
+    await db.run(
+      `INSERT INTO api_keys (id, name, key_prefix, key_hash, scopes, tenant_id, created_by, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [uuidv4(), 'bootstrap', key.slice(0, 12), hashKey(key), JSON.stringify(['admin']), DEFAULT_TENANT, 'system', new Date().toISOString()]
+    );
+    logger.info('Bootstrap admin API key installed from ADMIN_API_KEY');
+  }
+
+  hasScope(apiKey, scope) {
+    return apiKey.scopes.includes('admin') || apiKey.scopes.includes(scope);
+  }
+}
+
+module.exports = new ApiKeys();
+module.exports.SCOPES = SCOPES;
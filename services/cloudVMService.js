@@ -1,9 +1,21 @@
 const axios = require('axios');
 const logger = require('../utils/logger');
+const servers = require('./servers');
+const placement = require('./placement');
+const VMProvider = require('./vmProvider');
 
-class CloudVMService {
+class CloudVMService extends VMProvider {
   constructor() {
+    super('self-hosted', {
+      displayName: 'Self-hosted VM Servers',
+      features: ['real-vms', 'chrome-automation']
+    });
     this.vmServers = new Map(); // Cache of available VM servers
+    this.vms = new Map(); // VMs placed on a server, by VM id
+  }
+
+  async isAvailable() {
+    return this.isCloudAvailable();
   }
 
   async isCloudAvailable() {
@@ -17,59 +29,30 @@ class CloudVMService {
     }
   }
 
+  // Registered servers that take new VMs and passed their last health check
   async getAvailableServers() {
     try {
-      const { getDatabase } = require('../database/init');
-      const db = getDatabase();
-      
-      const servers = await new Promise((resolve, reject) => {
-        db.all('SELECT * FROM servers WHERE status = "active"', (err, rows) => {
-          if (err) reject(err);
-          else resolve(rows);
-        });
-      });
-
-      // Filter servers that are actually responding
-      const availableServers = [];
-      for (const server of servers) {
-        try {
-          const healthResponse = await axios.get(
-            `https://${server.host}/health`,
-            { timeout: 5000 }
-          );
-          if (healthResponse.data.status === 'healthy') {
-            availableServers.push(server);
-          }
-        } catch (error) {
-          logger.warn(`Server ${server.name} is not responding:`, error.message);
-        }
-      }
-
-      return availableServers;
+      return await servers.listRegistered({ status: 'active', health: 'healthy' });
     } catch (error) {
       logger.error('Error getting available servers:', error);
       return [];
     }
   }
 
-  async createVM(vmId, vmName, serverId = null) {
-    try {
-      const servers = await this.getAvailableServers();
-      if (servers.length === 0) {
-        throw new Error('No available VM servers');
-      }
+  // Scored against capacity, health, location and capabilities; see placement.js
+  async place({ serverId = null, placement: preferences = {} } = {}) {
+    return placement.place({ ...preferences, serverId });
+  }
 
-      // Use specified server or pick the first available
-      let selectedServer = servers[0];
-      if (serverId) {
-        selectedServer = servers.find(s => s.id === serverId) || servers[0];
-      }
+  async createVM(vmId, { name: vmName, serverId = null, placement: preferences = {}, placed = null } = {}) {
+    try {
+      const { server: selectedServer, decision } = placed || await this.place({ serverId, placement: preferences });
 
-      logger.info(`Creating VM ${vmId} on server ${selectedServer.name}`);
+      logger.info(`Creating VM ${vmId} on server ${selectedServer.name} (${decision.strategy} placement)`);
 
       // For now, we'll create a new VM server instance
       // In a real implementation, you'd have a VM pool or create new instances
-      const vmServerUrl = `https://${selectedServer.host}`;
+      const vmServerUrl = servers.url(selectedServer);
       
       // Test the server
       const healthResponse = await axios.get(`${vmServerUrl}/health`, { timeout: 5000 });
@@ -81,18 +64,24 @@ class CloudVMService {
       // Get VM info
       const infoResponse = await axios.get(`${vmServerUrl}/info`, { timeout: 5000 });
       
-      return {
+      const vm = {
         containerId: `cloud-vm-${vmId}`,
         containerName: `cloud-vm-${vmId}`,
         novncPort: 6080, // Not used in cloud mode
         agentPort: 3000, // Not used in cloud mode
-        novncUrl: `${vmServerUrl}/vnc`, // Placeholder for VNC interface
+        novncUrl: `${selectedServer.protocol || 'https'}://${selectedServer.host}:${selectedServer.novnc_port}/vnc.html`,
         agentUrl: vmServerUrl,
         status: 'ready',
         serverId: selectedServer.id,
-        serverName: selectedServer.name
+        serverName: selectedServer.name,
+        placement: decision,
+        vmId,
+        name: vmName
       };
 
+      this.vms.set(vmId, vm);
+      return vm;
+
     } catch (error) {
       logger.error(`Failed to create cloud VM ${vmId}:`, error);
       throw error;
@@ -103,6 +92,7 @@ class CloudVMService {
     try {
       // In cloud mode, we don't actually delete the server
       // We just mark it as available for reuse
+      this.vms.delete(vmId);
       logger.info(`VM ${vmId} marked for cleanup`);
       return true;
     } catch (error) {
@@ -111,22 +101,42 @@ class CloudVMService {
     }
   }
 
-  async executeScript(vmId, script, screenshot = false) {
+  async getVMStatus(vmId) {
+    const vm = this.vms.get(vmId);
+    if (!vm) {
+      return { status: 'not_found' };
+    }
+
     try {
-      const servers = await this.getAvailableServers();
-      const server = servers.find(s => s.id === vmId.split('-')[0]); // Extract server ID from VM ID
-      
-      if (!server) {
+      const healthResponse = await axios.get(`${vm.agentUrl}/health`, { timeout: 5000 });
+      vm.status = healthResponse.data.status === 'healthy' ? 'ready' : 'error';
+    } catch (error) {
+      logger.warn(`Server for VM ${vmId} is not responding:`, error.message);
+      vm.status = 'error';
+    }
+
+    return vm;
+  }
+
+  // Re-register a VM from the vms table after a restart
+  async restoreVM(vm) {
+    if (!this.vms.has(vm.id)) {
+      this.vms.set(vm.id, this.fromStoredVM(vm));
+    }
+  }
+
+  async listVMs() {
+    return Array.from(this.vms.values());
+  }
+
+  async executeScript(vmId, script, options = {}) {
+    try {
+      const vm = this.vms.get(vmId);
+      if (!vm) {
         throw new Error('VM server not found');
       }
 
-      const response = await axios.post(`https://${server.host}/run`, {
-        job_id: `script-${Date.now()}`,
-        script,
-        screenshot
-      }, { timeout: 30000 });
-
-      return response.data;
+      return await this.runOnAgent(vm.agentUrl, script, { timeout: 30000, ...options });
     } catch (error) {
       logger.error(`Failed to execute script on VM ${vmId}:`, error);
       throw error;
@@ -135,14 +145,12 @@ class CloudVMService {
 
   async navigateBrowser(vmId, url) {
     try {
-      const servers = await this.getAvailableServers();
-      const server = servers.find(s => s.id === vmId.split('-')[0]);
-      
-      if (!server) {
+      const vm = this.vms.get(vmId);
+      if (!vm) {
         throw new Error('VM server not found');
       }
 
-      const response = await axios.post(`https://${server.host}/browser/navigate`, {
+      const response = await axios.post(`${vm.agentUrl}/browser/navigate`, {
         url
       }, { timeout: 30000 });
 
@@ -0,0 +1,147 @@
+const net = require('net');
+const db = require('../database/init');
+const logger = require('../utils/logger');
+
+// Whether nothing on this host is listening on the port
+const isPortFree = (port) => new Promise(resolve => {
+  const server = net.createServer();
+  server.once('error', () => resolve(false));
+  server.once('listening', () => server.close(() => resolve(true)));
+  server.listen(port, '0.0.0.0');
+});
+
+// "6082-6999" -> { start: 6082, end: 6999 }; null when malformed
+const parseRange = (range) => {
+  const match = /^(\d+)-(\d+)$/.exec(range);
+  if (!match || parseInt(match[1], 10) > parseInt(match[2], 10)) {
+    return null;
+  }
+  return { start: parseInt(match[1], 10), end: parseInt(match[2], 10) };
+};
+
+// Hands out host ports for Docker VM containers. A port is free only if it
+// is not assigned in docker_ports, not bound by any container (running or
+// stopped), and, when the daemon is local, not in use on this host.
+// Assignments are persisted so they survive restarts and are released when
+// the VM is deleted.
+class DockerPortAllocator {
+  constructor(docker, { range = '6082-6999', checkHost = true } = {}) {
+    this.docker = docker;
+    this.rawRange = range;
+    this.range = parseRange(range);
+    this.checkHost = checkHost;
+    // Allocations run one at a time so two creates cannot pick the same port
+    this.queue = Promise.resolve();
+  }
+
+  // Host ports published by containers. Stopped containers report no Ports in
+  // listContainers, so their configured bindings are read from inspect.
+  async containerPorts() {
+    const ports = new Set();
+    const containers = await this.docker.listContainers({ all: true });
+
+    for (const container of containers) {
+      (container.Ports || []).forEach(port => {
+        if (port.PublicPort) {
+          ports.add(port.PublicPort);
+        }
+      });
+
+      if (container.State !== 'running') {
+        try {
+          const info = await this.docker.getContainer(container.Id).inspect();
+          Object.values(info.HostConfig.PortBindings || {}).forEach(bindings => {
+            (bindings || []).forEach(binding => {
+              if (binding.HostPort) {
+                ports.add(parseInt(binding.HostPort, 10));
+              }
+            });
+          });
+        } catch (error) {
+          logger.warn(`Could not inspect container ${container.Id}:`, error.message);
+        }
+      }
+    }
+
+    return ports;
+  }
+
+  async assignedPorts() {
+    const rows = await db.all('SELECT port FROM docker_ports');
+    return new Set(rows.map(row => row.port));
+  }
+
+  // Reserve one host port per purpose, e.g. allocate(vmId, ['novnc', 'agent'])
+  // resolves to { novnc: 6082, agent: 6083 }
+  allocate(vmId, purposes) {
+    const run = this.queue.then(() => this.reserve(vmId, purposes));
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async reserve(vmId, purposes) {
+    if (!this.range) {
+      throw new Error(`Invalid Docker port range: ${this.rawRange}`);
+    }
+    const taken = new Set([...(await this.assignedPorts()), ...(await this.containerPorts())]);
+    const assigned = {};
+
+    try {
+      for (const purpose of purposes) {
+        assigned[purpose] = await this.reservePort(vmId, purpose, taken);
+        taken.add(assigned[purpose]);
+      }
+    } catch (error) {
+      await this.release(vmId);
+      throw error;
+    }
+
+    logger.info(`Allocated ports for VM ${vmId}: ${JSON.stringify(assigned)}`);
+    return assigned;
+  }
+
+  async reservePort(vmId, purpose, taken) {
+    for (let port = this.range.start; port <= this.range.end; port++) {
+      if (taken.has(port)) {
+        continue;
+      }
+      if (this.checkHost && !(await isPortFree(port))) {
+        continue;
+      }
+
+      try {
+        await db.run(
+          'INSERT INTO docker_ports (port, vm_id, purpose, created_at) VALUES (?, ?, ?, ?)',
+          [port, vmId, purpose, new Date().toISOString()]
+        );
+        return port;
+      } catch (error) {
+        // Primary key conflict: another process took it first
+        if (!/UNIQUE constraint failed/i.test(error.message)) {
+          throw error;
+        }
+      }
+    }
+
+    throw new Error(`No free host ports left in ${this.range.start}-${this.range.end}`);
+  }
+
+  async getPorts(vmId) {
+    const rows = await db.all('SELECT port, purpose FROM docker_ports WHERE vm_id = ?', [vmId]);
+    return rows.reduce((ports, row) => {
+      ports[row.purpose] = row.port;
+      return ports;
+    }, {});
+  }
+
+  async release(vmId) {
+    const result = await db.run('DELETE FROM docker_ports WHERE vm_id = ?', [vmId]);
+    if (result.changes > 0) {
+      logger.info(`Released ${result.changes} port(s) held by VM ${vmId}`);
+    }
+    return result.changes;
+  }
+}
+
+module.exports = DockerPortAllocator;
+module.exports.parseRange = parseRange;
@@ -1,16 +1,91 @@
+const fs = require('fs');
 const Docker = require('dockerode');
-const { v4: uuidv4 } = require('uuid');
 const logger = require('../utils/logger');
+const { ProviderError } = require('../utils/errors');
+const VMProvider = require('./vmProvider');
+const DockerPortAllocator = require('./dockerPortAllocator');
 
-class DockerService {
+// The image tag used when DOCKER_VM_IMAGE is not set. It is not published
+// anywhere, so it has to be built (DOCKER_VM_BUILD_CONTEXT) or already present.
+const LOCAL_IMAGE = 'chrome-vm:latest';
+
+// "2g", "512m", "1073741824" -> bytes; null when malformed
+const parseMemory = (value) => {
+  if (!value) {
+    return undefined;
+  }
+  const match = /^(\d+(?:\.\d+)?)([kmg]?)b?$/i.exec(value.trim());
+  if (!match) {
+    return null;
+  }
+  const multipliers = { '': 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3 };
+  return Math.round(parseFloat(match[1]) * multipliers[match[2].toLowerCase()]);
+};
+
+// Provider settings, all from the environment. The Docker daemon itself is
+// reached through DOCKER_HOST (or the local socket) as usual.
+const loadConfig = (env = process.env) => ({
+  image: env.DOCKER_VM_IMAGE || LOCAL_IMAGE,
+  // With a build context the image is built when missing; without one it is pulled
+  buildContext: env.DOCKER_VM_BUILD_CONTEXT || null,
+  dockerfile: env.DOCKER_VM_DOCKERFILE || 'Dockerfile',
+  // missing: pull only when the image is not present; always: pull on every create
+  pullPolicy: env.DOCKER_VM_PULL_POLICY || 'missing',
+  cpus: env.DOCKER_VM_CPUS ? parseFloat(env.DOCKER_VM_CPUS) : undefined,
+  memory: parseMemory(env.DOCKER_VM_MEMORY),
+  network: env.DOCKER_VM_NETWORK || (env.DOCKER_VM_NETWORK_MODE === 'private' ? 'chrome-vms' : null),
+  // ports: publish noVNC and the agent on host ports from portRange.
+  // private: no host ports; containers join `network` and are reached by
+  // container IP, so the backend must run on that network or host.
+  networkMode: env.DOCKER_VM_NETWORK_MODE || 'ports',
+  portRange: env.DOCKER_VM_PORT_RANGE || '6082-6999',
+  containerPrefix: env.DOCKER_VM_CONTAINER_PREFIX || 'chrome-vm-',
+  volumePrefix: env.DOCKER_VM_VOLUME_PREFIX || 'chrome-data-',
+  volumeTarget: env.DOCKER_VM_VOLUME_TARGET || '/home/chromeuser/.config/google-chrome',
+  // Host name put in the noVNC and agent URLs handed back to clients
+  publicHost: env.DOCKER_VM_PUBLIC_HOST || 'localhost'
+});
+
+// What makes the configuration unusable, or null. Reported through
+// isAvailable and createVM instead of failing when the module loads.
+const configError = (config, env = process.env) => {
+  if (config.memory === null) {
+    return `Invalid DOCKER_VM_MEMORY: ${env.DOCKER_VM_MEMORY}`;
+  }
+  if (Number.isNaN(config.cpus)) {
+    return `Invalid DOCKER_VM_CPUS: ${env.DOCKER_VM_CPUS}`;
+  }
+  // Private networking publishes no host ports, so the range is unused there
+  if (config.networkMode !== 'private' && !DockerPortAllocator.parseRange(config.portRange)) {
+    return `Invalid DOCKER_VM_PORT_RANGE: ${config.portRange}`;
+  }
+  return null;
+};
+
+class DockerService extends VMProvider {
   constructor() {
+    super('docker', {
+      displayName: 'Local Docker',
+      features: ['real-vms', 'docker', 'chrome-automation', 'persistent-storage'],
+      inventory: 'provider'
+    });
     this.docker = new Docker();
+    this.config = loadConfig();
+    this.configError = configError(this.config);
+    // Ports inside the container
     this.vmPorts = {
       novnc: 6080,
       agent: 3000
     };
-    this.nextPort = 6082; // Start from 6082 for NoVNC (6081 is used by chrome-vm-1)
-    this.nextAgentPort = 3003; // Start from 3003 for agent (3002 is used by chrome-vm-1)
+    this.ports = new DockerPortAllocator(this.docker, {
+      range: this.config.portRange,
+      // Probing host ports only means something when the daemon is local
+      checkHost: !process.env.DOCKER_HOST || process.env.DOCKER_HOST.startsWith('unix://')
+    });
+  }
+
+  isPrivateNetwork() {
+    return this.config.networkMode === 'private';
   }
 
   async isDockerAvailable() {
@@ -23,55 +98,206 @@ class DockerService {
     }
   }
 
+  async isAvailable() {
+    if (this.configError) {
+      logger.warn(`Docker provider not usable: ${this.configError}`);
+      return false;
+    }
+    return this.isDockerAvailable();
+  }
+
+  containerName(vmId) {
+    return `${this.config.containerPrefix}${vmId}`;
+  }
+
+  getContainer(vmId) {
+    return this.docker.getContainer(this.containerName(vmId));
+  }
+
+  // Wait for a build or pull stream; both report failures as progress events
+  followProgress(stream) {
+    return new Promise((resolve, reject) => {
+      this.docker.modem.followProgress(stream, (err, res) => {
+        const failed = err || (res || []).find(event => event.error);
+        if (failed) {
+          reject(err || new Error(failed.error));
+        } else {
+          resolve(res);
+        }
+      });
+    });
+  }
+
   async buildVMImage() {
+    const { buildContext, dockerfile, image } = this.config;
     try {
-      logger.info('Building Chrome VM Docker image...');
-      
+      logger.info(`Building Docker image ${image} from ${buildContext}...`);
+
       const stream = await this.docker.buildImage({
-        context: '/Users/docshay/chrome-vm-dashboard/docker-vm',
-        src: ['Dockerfile', 'package.json', 'agent.js', 'start-desktop.sh', 'start.sh', 'supervisord.conf']
+        context: buildContext,
+        src: fs.readdirSync(buildContext)
       }, {
-        t: 'chrome-vm-dashboard-chrome-vm-1:latest'
+        t: image,
+        dockerfile
       });
 
-      return new Promise((resolve, reject) => {
-        this.docker.modem.followProgress(stream, (err, res) => {
-          if (err) {
-            logger.error('Failed to build Docker image:', err);
-            reject(err);
-          } else {
-            logger.info('✅ Chrome VM Docker image built successfully');
-            resolve(res);
-          }
-        });
-      });
+      const result = await this.followProgress(stream);
+      logger.info(`✅ Docker image ${image} built successfully`);
+      return result;
     } catch (error) {
-      logger.error('Error building Docker image:', error);
+      logger.error(`Failed to build Docker image ${image}:`, error.message);
       throw error;
     }
   }
 
-  async createVM(vmId, vmName) {
+  async pullVMImage() {
+    const { image } = this.config;
     try {
-      const isAvailable = await this.isDockerAvailable();
-      if (!isAvailable) {
-        throw new Error('Docker is not available');
+      logger.info(`Pulling Docker image ${image}...`);
+      const stream = await this.docker.pull(image);
+      const result = await this.followProgress(stream);
+      logger.info(`✅ Docker image ${image} pulled successfully`);
+      return result;
+    } catch (error) {
+      logger.error(`Failed to pull Docker image ${image}:`, error.message);
+      throw error;
+    }
+  }
+
+  async imageExists() {
+    try {
+      await this.docker.getImage(this.config.image).inspect();
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Build or pull the image according to the configuration
+  async ensureImage() {
+    if (this.config.buildContext) {
+      if (!(await this.imageExists())) {
+        logger.info(`Docker image ${this.config.image} not found, building...`);
+        await this.buildVMImage();
       }
+      return;
+    }
+
+    const exists = await this.imageExists();
+    if (this.config.image === LOCAL_IMAGE) {
+      if (!exists) {
+        throw new ProviderError(this.name,
+          `Docker image ${LOCAL_IMAGE} is not present and cannot be pulled; set DOCKER_VM_IMAGE to a pullable image or DOCKER_VM_BUILD_CONTEXT to build it`);
+      }
+      return;
+    }
 
-      // Check if image exists, build if not
+    if (this.config.pullPolicy === 'always' || !exists) {
       try {
-        await this.docker.getImage('chrome-vm-dashboard-chrome-vm-1:latest').inspect();
+        await this.pullVMImage();
       } catch (error) {
-        logger.info('Docker image not found, building...');
-        await this.buildVMImage();
+        throw new ProviderError(this.name, `Could not pull Docker image ${this.config.image}: ${error.message}`);
       }
+    }
+  }
 
-      const containerName = `chrome-vm-${vmId}`;
-      const novncPort = this.nextPort++;
-      const agentPort = this.nextAgentPort++;
+  // Create the private network on first use
+  async ensureNetwork() {
+    const { network } = this.config;
+    const existing = await this.docker.listNetworks({ filters: { name: [network] } });
+    if (existing.some(candidate => candidate.Name === network)) {
+      return;
+    }
+
+    logger.info(`Creating Docker network ${network}`);
+    await this.docker.createNetwork({
+      Name: network,
+      Driver: 'bridge',
+      Labels: { 'chrome-vm-dashboard': 'true' }
+    });
+  }
+
+  // Base URLs for the container's agent and noVNC: the container IP on the
+  // private network, or the published host ports otherwise
+  endpointsFor(info) {
+    if (this.isPrivateNetwork()) {
+      const ip = info.NetworkSettings.Networks?.[this.config.network]?.IPAddress;
+      if (!ip) {
+        throw new Error(`Container is not attached to network ${this.config.network}`);
+      }
+      return {
+        agentUrl: `http://${ip}:${this.vmPorts.agent}`,
+        novncUrl: `http://${ip}:${this.vmPorts.novnc}/vnc.html`
+      };
+    }
+
+    const ports = info.NetworkSettings.Ports || {};
+    const agentPort = ports[`${this.vmPorts.agent}/tcp`]?.[0]?.HostPort;
+    const novncPort = ports[`${this.vmPorts.novnc}/tcp`]?.[0]?.HostPort;
+    if (!agentPort) {
+      throw new Error('Agent port not found');
+    }
+    return {
+      agentUrl: `http://${this.config.publicHost}:${agentPort}`,
+      novncUrl: novncPort ? `http://${this.config.publicHost}:${novncPort}/vnc.html` : null
+    };
+  }
+
+  // CPU/memory limits, network and the profile volume for a VM container
+  hostConfig(vmId, portBindings) {
+    const { cpus, memory, network, volumePrefix, volumeTarget } = this.config;
+    const hostConfig = {
+      AutoRemove: false,
+      RestartPolicy: {
+        Name: 'unless-stopped'
+      },
+      Binds: [
+        `${volumePrefix}${vmId}:${volumeTarget}`
+      ]
+    };
+
+    if (cpus) {
+      hostConfig.NanoCpus = Math.round(cpus * 1e9);
+    }
+    if (memory) {
+      hostConfig.Memory = memory;
+    }
+    if (network) {
+      hostConfig.NetworkMode = network;
+    }
+    if (portBindings) {
+      hostConfig.PortBindings = portBindings;
+    }
+    return hostConfig;
+  }
+
+  async createVM(vmId, { name: vmName } = {}) {
+    try {
+      if (this.configError) {
+        throw new ProviderError(this.name, this.configError);
+      }
+
+      const isAvailable = await this.isDockerAvailable();
+      if (!isAvailable) {
+        throw new Error('Docker is not available');
+      }
+
+      await this.ensureImage();
+
+      const containerName = this.containerName(vmId);
+      const privateNetwork = this.isPrivateNetwork();
+      const novncPortKey = `${this.vmPorts.novnc}/tcp`;
+      const agentPortKey = `${this.vmPorts.agent}/tcp`;
+
+      let hostPorts = null;
+      if (privateNetwork) {
+        await this.ensureNetwork();
+      } else {
+        hostPorts = await this.ports.allocate(vmId, ['novnc', 'agent']);
+      }
 
       const containerConfig = {
-        Image: 'chrome-vm-dashboard-chrome-vm-1:latest',
+        Image: this.config.image,
         name: containerName,
         Env: [
           `VM_ID=${vmId}`,
@@ -79,22 +305,13 @@ class DockerService {
           `NODE_ENV=production`
         ],
         ExposedPorts: {
-          '6080/tcp': {},
-          '3000/tcp': {}
-        },
-        PortBindings: {
-          '6080/tcp': [{ HostPort: novncPort.toString() }],
-          '3000/tcp': [{ HostPort: agentPort.toString() }]
-        },
-        HostConfig: {
-          AutoRemove: false,
-          RestartPolicy: {
-            Name: 'unless-stopped'
-          },
-          Binds: [
-            `chrome-data-${vmId}:/home/chromeuser/.config/google-chrome`
-          ]
+          [novncPortKey]: {},
+          [agentPortKey]: {}
         },
+        HostConfig: this.hostConfig(vmId, hostPorts && {
+          [novncPortKey]: [{ HostPort: hostPorts.novnc.toString() }],
+          [agentPortKey]: [{ HostPort: hostPorts.agent.toString() }]
+        }),
         Labels: {
           'chrome-vm-dashboard': 'true',
           'vm-id': vmId,
@@ -103,19 +320,30 @@ class DockerService {
       };
 
       logger.info(`Creating Docker container for VM ${vmId}...`);
-      const container = await this.docker.createContainer(containerConfig);
-      
-      await container.start();
-      
+      let container;
+      let endpoints;
+      try {
+        container = await this.docker.createContainer(containerConfig);
+        await container.start();
+        endpoints = this.endpointsFor(await container.inspect());
+      } catch (error) {
+        // Do not leak the ports (or a half-created or running container) on failure
+        if (container) {
+          await container.remove({ force: true }).catch(() => {});
+        }
+        await this.ports.release(vmId);
+        throw error;
+      }
+
       logger.info(`✅ VM ${vmId} created successfully`);
-      
+
       return {
         containerId: container.id,
         containerName,
-        novncPort,
-        agentPort,
-        novncUrl: `http://localhost:${novncPort}/vnc.html`,
-        agentUrl: `http://localhost:${agentPort}`,
+        novncPort: hostPorts ? hostPorts.novnc : null,
+        agentPort: hostPorts ? hostPorts.agent : null,
+        novncUrl: endpoints.novncUrl,
+        agentUrl: endpoints.agentUrl,
         status: 'starting'
       };
 
@@ -125,14 +353,60 @@ class DockerService {
     }
   }
 
+  async startVM(vmId) {
+    try {
+      await this.getContainer(vmId).start();
+      logger.info(`VM ${vmId} started`);
+      return { success: true, status: 'starting' };
+    } catch (error) {
+      // 304: container already running
+      if (error.statusCode === 304) {
+        return { success: true, status: 'ready' };
+      }
+      logger.error(`Failed to start VM ${vmId}:`, error);
+      throw error;
+    }
+  }
+
+  async stopVM(vmId) {
+    try {
+      await this.getContainer(vmId).stop();
+      logger.info(`VM ${vmId} stopped`);
+      return { success: true, status: 'stopped' };
+    } catch (error) {
+      // 304: container already stopped
+      if (error.statusCode === 304) {
+        return { success: true, status: 'stopped' };
+      }
+      logger.error(`Failed to stop VM ${vmId}:`, error);
+      throw error;
+    }
+  }
+
+  async restartVM(vmId) {
+    try {
+      await this.getContainer(vmId).restart();
+      logger.info(`VM ${vmId} restarted`);
+      return { success: true, status: 'starting' };
+    } catch (error) {
+      logger.error(`Failed to restart VM ${vmId}:`, error);
+      throw error;
+    }
+  }
+
   async deleteVM(vmId) {
     try {
-      const containerName = `chrome-vm-${vmId}`;
-      const container = this.docker.getContainer(containerName);
-      
-      await container.stop();
-      await container.remove({ force: true });
-      
+      // remove({ force: true }) kills a running container, so no separate stop
+      try {
+        await this.getContainer(vmId).remove({ force: true });
+      } catch (error) {
+        // 404: already gone, which is what we wanted
+        if (error.statusCode !== 404) {
+          throw error;
+        }
+      }
+      await this.ports.release(vmId);
+
       logger.info(`✅ VM ${vmId} deleted successfully`);
       return true;
     } catch (error) {
@@ -143,9 +417,7 @@ class DockerService {
 
   async getVMStatus(vmId) {
     try {
-      const containerName = `chrome-vm-${vmId}`;
-      const container = this.docker.getContainer(containerName);
-      const info = await container.inspect();
+      const info = await this.getContainer(vmId).inspect();
       
       return {
         status: info.State.Running ? 'ready' : 'stopped',
@@ -159,53 +431,32 @@ class DockerService {
     }
   }
 
+  // Containers labelled by this dashboard. Errors are thrown rather than
+  // swallowed: an empty list would make the reconciler mark every VM a ghost.
   async listVMs() {
-    try {
-      const containers = await this.docker.listContainers({
-        all: true,
-        filters: {
-          label: ['chrome-vm-dashboard=true']
-        }
-      });
+    const containers = await this.docker.listContainers({
+      all: true,
+      filters: {
+        label: ['chrome-vm-dashboard=true']
+      }
+    });
 
-      return containers.map(container => ({
-        id: container.Labels['vm-id'],
-        name: container.Labels['vm-name'],
-        containerId: container.Id,
-        status: container.State === 'running' ? 'ready' : 'stopped',
-        created: container.Created,
-        ports: container.Ports
-      }));
-    } catch (error) {
-      logger.error('Failed to list VMs:', error);
-      return [];
-    }
+    return containers.map(container => ({
+      id: container.Labels['vm-id'],
+      name: container.Labels['vm-name'],
+      containerId: container.Id,
+      status: container.State === 'running' ? 'ready' : 'stopped',
+      created: container.Created,
+      ports: container.Ports
+    }));
   }
 
   async executeScript(vmId, script, options = {}) {
     try {
-      const containerName = `chrome-vm-${vmId}`;
-      const container = this.docker.getContainer(containerName);
-      
-      // Get the agent port from container info
-      const info = await container.inspect();
-      const agentPort = info.NetworkSettings.Ports['3000/tcp']?.[0]?.HostPort;
-      
-      if (!agentPort) {
-        throw new Error('Agent port not found');
-      }
-
-      // Make HTTP request to the agent
-      const axios = require('axios');
-      const response = await axios.post(`http://localhost:${agentPort}/run`, {
-        job_id: uuidv4(),
-        script,
-        ...options
-      }, {
-        timeout: 300000 // 5 minutes
-      });
+      // Resolve the agent on every call; ports and container IPs can change
+      const { agentUrl } = this.endpointsFor(await this.getContainer(vmId).inspect());
 
-      return response.data;
+      return await this.runOnAgent(agentUrl, script, options);
     } catch (error) {
       logger.error(`Failed to execute script on VM ${vmId}:`, error);
       throw error;
@@ -214,3 +465,4 @@ class DockerService {
 }
 
 module.exports = new DockerService();
+module.exports.loadConfig = loadConfig;
@@ -1,86 +1,245 @@
 const axios = require('axios');
 const logger = require('../utils/logger');
-
-class GoogleCloudVMService {
+const gcpAuth = require('../utils/gcpAuth');
+const { ProviderError } = require('../utils/errors');
+const VMProvider = require('./vmProvider');
+
+// Label that marks instances created by this backend; listVMs only returns these
+const MANAGED_LABEL = 'chrome-vm-dashboard';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Compute Engine machine types; storage_gb sizes the boot disk. E2 shared-core
+// types burst to 2 vCPUs.
+const INSTANCE_TYPES = [
+  { type: 'e2-micro', name: 'E2 Micro', vcpus: 2, shared_core: true, memory_mb: 1024, storage_gb: 10, hourly_price: 0.006 },
+  { type: 'e2-small', name: 'E2 Small', vcpus: 2, shared_core: true, memory_mb: 2048, storage_gb: 20, hourly_price: 0.012 },
+  { type: 'e2-medium', name: 'E2 Medium', vcpus: 2, shared_core: true, memory_mb: 4096, storage_gb: 50, hourly_price: 0.024, default: true },
+  { type: 'e2-standard-2', name: 'E2 Standard 2', vcpus: 2, shared_core: false, memory_mb: 8192, storage_gb: 100, hourly_price: 0.048 },
+  { type: 'e2-standard-4', name: 'E2 Standard 4', vcpus: 4, shared_core: false, memory_mb: 16384, storage_gb: 200, hourly_price: 0.096 },
+  { type: 'e2-standard-8', name: 'E2 Standard 8', vcpus: 8, shared_core: false, memory_mb: 32768, storage_gb: 500, hourly_price: 0.192 },
+  { type: 'n1-standard-1', name: 'N1 Standard 1', vcpus: 1, shared_core: false, memory_mb: 3840, storage_gb: 25, hourly_price: 0.0475 },
+  { type: 'n1-standard-2', name: 'N1 Standard 2', vcpus: 2, shared_core: false, memory_mb: 7680, storage_gb: 50, hourly_price: 0.095 },
+  { type: 'n1-standard-4', name: 'N1 Standard 4', vcpus: 4, shared_core: false, memory_mb: 15360, storage_gb: 100, hourly_price: 0.19 }
+];
+
+// Compute Engine instances, created from a public image with getStartupScript()
+// as startup-script metadata. Every call goes to the Compute API with
+// gcpAuth.getAuthHeaders(); instances are named chrome-vm-<vmId>, so nothing
+// has to be remembered between restarts.
+class GoogleCloudVMService extends VMProvider {
   constructor() {
-    this.projectId = process.env.GOOGLE_CLOUD_PROJECT_ID || 'chrome-vm-dashboard';
-    this.zone = process.env.GOOGLE_CLOUD_ZONE || 'us-central1-a';
-    this.region = process.env.GOOGLE_CLOUD_REGION || 'us-central1';
-    this.apiKey = process.env.GOOGLE_CLOUD_API_KEY;
-    this.accessToken = process.env.GOOGLE_CLOUD_ACCESS_TOKEN;
-    this.credentials = process.env.GOOGLE_CLOUD_CREDENTIALS;
-    
-    // VM registry to track running VMs
-    this.runningVMs = new Map();
-    
-    // Google Cloud API base URL
-    this.baseUrl = `https://compute.googleapis.com/compute/v1/projects/${this.projectId}`;
-    
-    logger.info(`Google Cloud VM Service initialized for project: ${this.projectId}`);
+    super('google-cloud', {
+      displayName: 'Google Cloud Platform',
+      features: ['real-vms', 'docker', 'chrome-automation', 'persistent-storage'],
+      inventory: 'provider',
+      instanceTypes: INSTANCE_TYPES
+    });
+
+    this.projectId = gcpAuth.getProjectId();
+    this.zone = gcpAuth.getZone();
+    this.image = process.env.GOOGLE_CLOUD_IMAGE || 'projects/debian-cloud/global/images/family/debian-12';
+    this.network = process.env.GOOGLE_CLOUD_NETWORK || 'global/networks/default';
+    this.networkTags = (process.env.GOOGLE_CLOUD_NETWORK_TAGS || 'chrome-vm').split(',').map(tag => tag.trim()).filter(Boolean);
+    this.agentPort = parseInt(process.env.GOOGLE_CLOUD_AGENT_PORT, 10) || 3000;
+    this.novncPort = parseInt(process.env.GOOGLE_CLOUD_NOVNC_PORT, 10) || 6080;
+    this.operationPollInterval = parseInt(process.env.GOOGLE_CLOUD_OPERATION_POLL_MS, 10) || 2000;
+    this.operationTimeout = parseInt(process.env.GOOGLE_CLOUD_OPERATION_TIMEOUT_MS, 10) || 300000;
+
+    // Overridable so the provider can be pointed at a local stub of the API
+    const computeUrl = process.env.GOOGLE_CLOUD_COMPUTE_URL || 'https://compute.googleapis.com/compute/v1';
+    this.baseUrl = `${computeUrl}/projects/${this.projectId}`;
+
+    logger.info(`Google Cloud VM Service initialized for project: ${this.projectId}, zone: ${this.zone}`);
   }
 
   async isAvailable() {
     try {
-      // Check if Google Cloud credentials are available
-      if (!this.accessToken && !this.apiKey && !this.credentials) {
-        logger.warn('Google Cloud credentials not available');
+      if (!this.projectId) {
+        logger.warn('Google Cloud project not configured (GOOGLE_CLOUD_PROJECT_ID)');
         return false;
       }
-      
-      // Test Google Cloud API access
-      const response = await axios.get(`${this.baseUrl}/zones/${this.zone}/instances`, {
-        headers: {
-          'Authorization': `Bearer ${this.accessToken}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 5000
-      });
-      
+
+      const response = await this.request('get', `/zones/${this.zone}/instances`, { params: { maxResults: 1 } });
       logger.info(`Google Cloud API accessible: ${response.status}`);
       return response.status === 200;
     } catch (error) {
       logger.warn('Google Cloud service not available:', error.message);
-      // For now, return true to allow testing with enhanced mock VMs
-      return true;
+      return false;
     }
   }
 
-  async createVM(vmId, name, serverId, instanceType = 'e2-medium') {
+  instanceName(vmId) {
+    return `chrome-vm-${vmId}`;
+  }
+
+  // Call the Compute API; API errors become ProviderErrors carrying Google's
+  // message. 404s are passed through so callers can tell a missing instance.
+  async request(method, path, { data, params } = {}) {
+    if (!this.projectId) {
+      throw new ProviderError(this.name, 'Google Cloud project not configured (GOOGLE_CLOUD_PROJECT_ID)');
+    }
+
     try {
-      logger.info(`Creating Google Cloud VM ${vmId} with name ${name} and type ${instanceType}`);
-      
-      // Check if service is available
-      const serviceAvailable = await this.isAvailable();
-      
-      if (!serviceAvailable) {
-        // Fallback to enhanced mock VM
-        return await this.createEnhancedMockVM(vmId, name, serverId, instanceType, 'Google Cloud service not configured');
+      return await axios({
+        method,
+        url: `${this.baseUrl}${path}`,
+        data,
+        params,
+        headers: await gcpAuth.getAuthHeaders(),
+        timeout: 30000
+      });
+    } catch (error) {
+      if (error.response && error.response.status === 404) {
+        throw error;
       }
+      const apiMessage = error.response && error.response.data && error.response.data.error && error.response.data.error.message;
+      throw new ProviderError(this.name, `Google Cloud ${method.toUpperCase()} ${path} failed: ${apiMessage || error.message}`);
+    }
+  }
+
+  // Poll a zone operation until it is DONE; an operation that finished with
+  // errors throws
+  async waitForOperation(operation) {
+    const deadline = Date.now() + this.operationTimeout;
+    let current = operation;
 
-      // For now, create an enhanced mock VM that simulates Google Cloud
-      // In production, this would create a real GCP instance
-      return await this.createEnhancedMockVM(vmId, name, serverId, instanceType, 'Google Cloud VM (Enhanced Mock)');
+    while (current.status !== 'DONE') {
+      if (Date.now() > deadline) {
+        throw new ProviderError(this.name, `Google Cloud operation ${operation.name} timed out`);
+      }
+      await sleep(this.operationPollInterval);
+      const response = await this.request('get', `/zones/${this.zone}/operations/${operation.name}`);
+      current = response.data;
+    }
 
+    if (current.error && current.error.errors && current.error.errors.length > 0) {
+      const messages = current.error.errors.map(error => error.message || error.code).join('; ');
+      throw new ProviderError(this.name, `Google Cloud operation ${current.operationType || operation.name} failed: ${messages}`);
+    }
+    return current;
+  }
+
+  // Resolves to the instance, or null when it does not exist
+  async getInstance(vmId) {
+    try {
+      const response = await this.request('get', `/zones/${this.zone}/instances/${this.instanceName(vmId)}`);
+      return response.data;
     } catch (error) {
-      logger.error(`Failed to create VM ${vmId} on Google Cloud:`, error);
-      // Fallback to enhanced mock VM if Google Cloud fails
-      return await this.createEnhancedMockVM(vmId, name, serverId, instanceType, error.message);
+      if (error.response && error.response.status === 404) {
+        return null;
+      }
+      throw error;
     }
   }
 
-  getMachineType(instanceType) {
-    const typeMap = {
-      'e2-micro': 'e2-micro',
-      'e2-small': 'e2-small', 
-      'e2-medium': 'e2-medium',
-      'e2-standard-2': 'e2-standard-2',
-      'e2-standard-4': 'e2-standard-4',
-      'e2-standard-8': 'e2-standard-8',
-      'n1-standard-1': 'n1-standard-1',
-      'n1-standard-2': 'n1-standard-2',
-      'n1-standard-4': 'n1-standard-4'
+  // Run an instance action (start, stop, reset, delete) and wait for it
+  async runOperation(method, path) {
+    const response = await this.request(method, path);
+    return this.waitForOperation(response.data);
+  }
+
+  // A RUNNING instance is only ready once the agent answers; until then the
+  // startup script is still installing Chrome
+  async statusOf(instance, agentUrl) {
+    if (instance.status !== 'RUNNING') {
+      return instance.status.toLowerCase();
+    }
+    if (!agentUrl) {
+      return 'booting';
+    }
+
+    try {
+      await axios.get(`${agentUrl}/health`, { timeout: 3000 });
+      return 'ready';
+    } catch (error) {
+      return 'booting';
+    }
+  }
+
+  async toVM(instance) {
+    const networkInterface = (instance.networkInterfaces || [])[0] || {};
+    const accessConfig = (networkInterface.accessConfigs || [])[0] || {};
+    const publicIp = accessConfig.natIP || null;
+    const agentUrl = publicIp ? `http://${publicIp}:${this.agentPort}` : null;
+
+    return {
+      id: (instance.labels && instance.labels['vm-id']) || null,
+      containerId: instance.name,
+      containerName: instance.name,
+      instanceId: instance.id,
+      novncPort: this.novncPort,
+      agentPort: this.agentPort,
+      novncUrl: publicIp ? `http://${publicIp}:${this.novncPort}/vnc.html` : null,
+      agentUrl,
+      status: await this.statusOf(instance, agentUrl),
+      gcpStatus: instance.status,
+      serverName: 'Google Cloud Compute Engine',
+      publicIp,
+      privateIp: networkInterface.networkIP || null,
+      zone: this.zone,
+      machineType: instance.machineType ? instance.machineType.split('/').pop() : null,
+      createdVia: 'google-cloud'
+    };
+  }
+
+  async createVM(vmId, { name, serverId, instanceType } = {}) {
+    const machineType = this.resolveInstanceType(instanceType);
+    const spec = this.getInstanceType(machineType);
+    const instanceName = this.instanceName(vmId);
+    logger.info(`Creating Google Cloud instance ${instanceName} (${machineType}) for VM ${vmId}`);
+
+    const operation = await this.request('post', `/zones/${this.zone}/instances`, {
+      data: {
+        name: instanceName,
+        description: name ? `Chrome VM ${name}` : undefined,
+        machineType: `zones/${this.zone}/machineTypes/${machineType}`,
+        labels: { [MANAGED_LABEL]: 'true', 'vm-id': vmId },
+        tags: { items: this.networkTags },
+        disks: [{
+          boot: true,
+          autoDelete: true,
+          initializeParams: {
+            sourceImage: this.image,
+            diskSizeGb: String(spec.storage_gb)
+          }
+        }],
+        networkInterfaces: [{
+          network: this.network,
+          accessConfigs: [{ name: 'External NAT', type: 'ONE_TO_ONE_NAT' }]
+        }],
+        metadata: {
+          items: [{ key: 'startup-script', value: this.getStartupScript() }]
+        }
+      }
+    });
+    try {
+      await this.waitForOperation(operation.data);
+    } catch (error) {
+      // A failed or timed-out insert can still leave an instance behind;
+      // remove it so it is not billed with no VM row pointing at it
+      await this.deleteVM(vmId).catch(deleteError => {
+        logger.warn(`Could not remove Google Cloud instance ${instanceName} after a failed create: ${deleteError.message}`);
+      });
+      throw error;
+    }
+
+    const instance = await this.getInstance(vmId);
+    if (!instance) {
+      throw new ProviderError(this.name, `Google Cloud instance ${instanceName} disappeared after creation`);
+    }
+
+    const vm = await this.toVM(instance);
+    logger.info(`✅ Google Cloud instance ${instanceName} created (external IP ${vm.publicIp || 'none'})`);
+    return {
+      ...vm,
+      serverId: serverId || 'default-google-cloud-server',
+      vmId,
+      instanceType: machineType,
+      vcpus: spec.vcpus,
+      memoryMb: spec.memory_mb,
+      storageGb: spec.storage_gb
     };
-    return typeMap[instanceType] || 'e2-medium';
   }
 
   getStartupScript() {
@@ -166,147 +325,90 @@ echo "Chrome VM setup completed successfully"
   }
 
   async getVMStatus(vmId) {
-    try {
-      const vm = this.runningVMs.get(vmId);
-      if (!vm) {
-        return { status: 'not_found' };
-      }
-
-      // In a real scenario, this would query Google Cloud APIs for VM status
-      return { 
-        status: vm.status,
-        memory: vm.memory,
-        cpu: vm.cpu,
-        storage: vm.storage,
-        lastActivity: vm.lastActivity
-      };
-    } catch (error) {
-      logger.error(`Failed to get VM status ${vmId}:`, error);
-      return { status: 'error', error: error.message };
+    const instance = await this.getInstance(vmId);
+    if (!instance) {
+      return { status: 'not_found' };
     }
+    return this.toVM(instance);
   }
 
   async deleteVM(vmId) {
     try {
-      const vm = this.runningVMs.get(vmId);
-      if (!vm) {
-        throw new Error('VM not found');
-      }
-
-      // In a real scenario, this would call Google Cloud APIs to terminate the VM
-      // For now, just remove from registry
-      this.runningVMs.delete(vmId);
-      
-      logger.info(`✅ VM ${vmId} deleted successfully from Google Cloud`);
-      return { success: true };
+      await this.runOperation('delete', `/zones/${this.zone}/instances/${this.instanceName(vmId)}`);
     } catch (error) {
-      logger.error(`Failed to delete VM ${vmId}:`, error);
+      // Already gone
+      if (error.response && error.response.status === 404) {
+        logger.warn(`Google Cloud instance for VM ${vmId} did not exist`);
+        return { success: true };
+      }
       throw error;
     }
+
+    logger.info(`✅ VM ${vmId} deleted successfully from Google Cloud`);
+    return { success: true };
   }
 
-  // Enhanced mock VM creation for fallback
-  async createEnhancedMockVM(vmId, name, serverId, instanceType, errorMessage = 'Google Cloud service unavailable') {
-    logger.info(`Creating enhanced mock Google Cloud VM ${vmId} due to: ${errorMessage}`);
-    
-    // Simulate realistic VM creation time
-    await new Promise(resolve => setTimeout(resolve, 3000));
-    
-    const mockVM = {
-      containerId: `gcp-vm-${vmId}`,
-      containerName: `gcp-vm-${vmId}`,
-      novncPort: 6080,
-      agentPort: 3000,
-      novncUrl: `https://chrome-vm-workers.mgmt-5e1.workers.dev/vms/${vmId}/novnc`,
-      agentUrl: `https://chrome-vm-workers.mgmt-5e1.workers.dev/vms/${vmId}/agent`,
-      status: 'ready',
-      serverId: serverId || 'default-google-cloud-server',
-      serverName: 'Google Cloud VM Hosting (Enhanced Mock)',
-      publicIp: 'google-cloud-ip',
-      region: 'us-central1',
-      createdVia: 'google-cloud-enhanced',
-      error: errorMessage,
-      vmId: vmId,
-      instanceType: instanceType,
-      memory: this.getMemoryForInstanceType(instanceType),
-      cpu: this.getCPUForInstanceType(instanceType),
-      storage: this.getStorageForInstanceType(instanceType),
-      chromeVersion: '120.0.0.0',
-      nodeVersion: '18.19.0',
-      lastActivity: new Date().toISOString()
-    };
-    
-    this.runningVMs.set(vmId, mockVM);
-    return mockVM;
+  async startVM(vmId) {
+    return this.instanceAction(vmId, 'start');
   }
 
-  getMemoryForInstanceType(instanceType) {
-    const memoryMap = {
-      'e2-micro': '1GB',
-      'e2-small': '2GB',
-      'e2-medium': '4GB',
-      'e2-standard-2': '8GB',
-      'e2-standard-4': '16GB',
-      'e2-standard-8': '32GB',
-      'n1-standard-1': '3.75GB',
-      'n1-standard-2': '7.5GB',
-      'n1-standard-4': '15GB'
-    };
-    return memoryMap[instanceType] || '4GB';
+  async stopVM(vmId) {
+    return this.instanceAction(vmId, 'stop');
   }
 
-  getCPUForInstanceType(instanceType) {
-    const cpuMap = {
-      'e2-micro': '0.25-2 vCPU',
-      'e2-small': '0.5-2 vCPU',
-      'e2-medium': '1-2 vCPU',
-      'e2-standard-2': '2 vCPU',
-      'e2-standard-4': '4 vCPU',
-      'e2-standard-8': '8 vCPU',
-      'n1-standard-1': '1 vCPU',
-      'n1-standard-2': '2 vCPU',
-      'n1-standard-4': '4 vCPU'
-    };
-    return cpuMap[instanceType] || '1-2 vCPU';
+  async restartVM(vmId) {
+    return this.instanceAction(vmId, 'reset');
   }
 
-  getStorageForInstanceType(instanceType) {
-    const storageMap = {
-      'e2-micro': '10GB',
-      'e2-small': '20GB',
-      'e2-medium': '50GB',
-      'e2-standard-2': '100GB',
-      'e2-standard-4': '200GB',
-      'e2-standard-8': '500GB',
-      'n1-standard-1': '25GB',
-      'n1-standard-2': '50GB',
-      'n1-standard-4': '100GB'
-    };
-    return storageMap[instanceType] || '50GB';
+  // Start, stop or reset the instance and report its state afterwards. The
+  // external IP can change on start, so the fresh addresses come back too.
+  async instanceAction(vmId, action) {
+    try {
+      await this.runOperation('post', `/zones/${this.zone}/instances/${this.instanceName(vmId)}/${action}`);
+    } catch (error) {
+      if (error.response && error.response.status === 404) {
+        throw new ProviderError(this.name, `Google Cloud instance for VM ${vmId} not found`);
+      }
+      throw error;
+    }
+
+    const instance = await this.getInstance(vmId);
+    logger.info(`VM ${vmId} on Google Cloud: ${action} done (${instance ? instance.status : 'gone'})`);
+    return { success: true, ...(instance ? await this.toVM(instance) : { status: 'not_found' }) };
   }
 
-  // Get all running VMs
-  async getAllVMs() {
+  async executeScript(vmId, script, options = {}) {
     try {
-      // Return enhanced mock VMs for now
-      return Array.from(this.runningVMs.values());
+      const instance = await this.getInstance(vmId);
+      if (!instance) {
+        throw new Error('VM not found');
+      }
+
+      const vm = await this.toVM(instance);
+      if (!vm.agentUrl) {
+        throw new Error('VM has no external IP');
+      }
+      return await this.runOnAgent(vm.agentUrl, script, options);
     } catch (error) {
-      logger.error('Failed to get all VMs from Google Cloud:', error);
-      return [];
+      logger.error(`Failed to execute script on VM ${vmId}:`, error);
+      throw error;
     }
   }
 
-  // Get available instance types
-  async getAvailableInstanceTypes() {
-    return [
-      { type: 'e2-micro', name: 'E2 Micro', memory: '1GB', cpu: '0.25-2 vCPU', price: '$0.006/hour' },
-      { type: 'e2-small', name: 'E2 Small', memory: '2GB', cpu: '0.5-2 vCPU', price: '$0.012/hour' },
-      { type: 'e2-medium', name: 'E2 Medium', memory: '4GB', cpu: '1-2 vCPU', price: '$0.024/hour' },
-      { type: 'e2-standard-2', name: 'E2 Standard 2', memory: '8GB', cpu: '2 vCPU', price: '$0.048/hour' },
-      { type: 'e2-standard-4', name: 'E2 Standard 4', memory: '16GB', cpu: '4 vCPU', price: '$0.096/hour' },
-      { type: 'n1-standard-1', name: 'N1 Standard 1', memory: '3.75GB', cpu: '1 vCPU', price: '$0.0475/hour' },
-      { type: 'n1-standard-2', name: 'N1 Standard 2', memory: '7.5GB', cpu: '2 vCPU', price: '$0.095/hour' }
-    ];
+  // Instances created by this backend, whatever their state, across every
+  // page of results
+  async listVMs() {
+    const instances = [];
+    let pageToken;
+    do {
+      const response = await this.request('get', `/zones/${this.zone}/instances`, {
+        params: { filter: `labels.${MANAGED_LABEL}=true`, pageToken }
+      });
+      instances.push(...(response.data.items || []));
+      pageToken = response.data.nextPageToken;
+    } while (pageToken);
+
+    return Promise.all(instances.map(instance => this.toVM(instance)));
   }
 }
 
@@ -0,0 +1,350 @@
+const { v4: uuidv4 } = require('uuid');
+const db = require('../database/init');
+const { parseJSON } = require('../utils/json');
+const logger = require('../utils/logger');
+const { NotFoundError } = require('../utils/errors');
+const providerRegistry = require('./providerRegistry');
+const vmLifecycle = require('./vmLifecycle');
+const vmStore = require('./vmStore');
+const { addressesFromProviderVM } = require('./vmStore');
+
+const POLL_INTERVAL = parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 2000;
+const CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY, 10) || 2;
+// How often a booting VM with waiting jobs is asked whether it is ready yet
+const BOOT_PROBE_INTERVAL = parseInt(process.env.JOB_BOOT_PROBE_INTERVAL_MS, 10) || 5000;
+
+const fromRow = (row) => {
+  if (!row) {
+    return row;
+  }
+  return { ...row, result: parseJSON(row.result), options: parseJSON(row.options) };
+};
+
+// VM states that will become ready on their own; jobs for them wait
+const WAITING_VM_STATUSES = ['provisioning', 'booting', 'busy'];
+
+// Persistent script job queue backed by the script_jobs table. Jobs are
+// created as `pending`, claimed by the worker loop and moved through
+// `running` to `completed` or `failed`. A VM runs one job at a time: it is
+// `busy` while a job runs and back to `ready` afterwards. Booting VMs that have
+// jobs waiting are asked for their status every JOB_BOOT_PROBE_INTERVAL_MS,
+// so their jobs start as soon as the provider reports them ready.
+class JobQueue {
+  constructor() {
+    this.timer = null;
+    this.active = 0;
+    this.polling = false;
+    this.probing = false;
+    this.lastProbe = new Map();
+  }
+
+  async enqueue({ vmId, script, options = {}, scriptId = null, scriptRevision = null, batchId = null, tenantId = null, createdBy = null }) {
+    const jobId = uuidv4();
+
+    await db.run(
+      `INSERT INTO script_jobs (id, vm_id, script, status, options, script_id, script_revision, batch_id, tenant_id, created_by, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [jobId, vmId, script, 'pending', JSON.stringify(options), scriptId, scriptRevision, batchId, tenantId, createdBy, new Date().toISOString()]
+    );
+
+    logger.info(`Job ${jobId} queued for VM ${vmId}`);
+    setImmediate(() => this.poll());
+    return this.getJob(jobId);
+  }
+
+  // Queue one job per VM for a saved script and group them under a batch
+  async enqueueBatch({ scriptId, scriptRevision = null, script, vmIds, selector = null, options = {}, tenantId = null, createdBy = null }) {
+    const batchId = uuidv4();
+
+    await db.run(
+      'INSERT INTO script_batches (id, script_id, selector, tenant_id, created_at) VALUES (?, ?, ?, ?, ?)',
+      [batchId, scriptId, selector ? JSON.stringify(selector) : null, tenantId, new Date().toISOString()]
+    );
+
+    for (const vmId of vmIds) {
+      await this.enqueue({ vmId, script, options, scriptId, scriptRevision, batchId, tenantId, createdBy });
+    }
+
+    logger.info(`Batch ${batchId} queued script ${scriptId} on ${vmIds.length} VM(s)`);
+    return this.getBatch(batchId);
+  }
+
+  async getBatch(batchId) {
+    const batch = await db.get('SELECT * FROM script_batches WHERE id = ?', [batchId]);
+    if (!batch) {
+      return null;
+    }
+
+    const jobs = await db.all(
+      'SELECT id, vm_id, status, script_revision, error, started_at, completed_at FROM script_jobs WHERE batch_id = ? ORDER BY created_at',
+      [batchId]
+    );
+
+    const progress = { total: jobs.length, pending: 0, running: 0, completed: 0, failed: 0, cancelled: 0 };
+    jobs.forEach(job => {
+      progress[job.status] = (progress[job.status] || 0) + 1;
+    });
+    const finished = progress.completed + progress.failed + progress.cancelled;
+
+    return {
+      ...batch,
+      selector: parseJSON(batch.selector),
+      status: finished === jobs.length ? 'finished' : 'in_progress',
+      progress,
+      jobs
+    };
+  }
+
+  async getJob(jobId) {
+    return fromRow(await db.get('SELECT * FROM script_jobs WHERE id = ?', [jobId]));
+  }
+
+  // tenantId limits the list to one tenant's jobs; omit it to list every tenant
+  async listJobs({ vmId, batchId, status, tenantId, limit = 50, offset = 0 } = {}) {
+    let query = 'SELECT * FROM script_jobs';
+    const params = [];
+    const conditions = [];
+
+    if (vmId) {
+      conditions.push('vm_id = ?');
+      params.push(vmId);
+    }
+    if (batchId) {
+      conditions.push('batch_id = ?');
+      params.push(batchId);
+    }
+    if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+    if (tenantId) {
+      conditions.push('tenant_id = ?');
+      params.push(tenantId);
+    }
+
+    if (conditions.length > 0) {
+      query += ' WHERE ' + conditions.join(' AND ');
+    }
+    query += ' ORDER BY created_at DESC LIMIT ? OFFSET ?';
+
+    const rows = await db.all(query, [...params, limit, offset]);
+    return rows.map(fromRow);
+  }
+
+  async cancelJob(jobId) {
+    const job = await this.getJob(jobId);
+    if (!job) {
+      throw new NotFoundError('Job not found');
+    }
+
+    const result = await db.run(
+      'UPDATE script_jobs SET status = ?, completed_at = ? WHERE id = ? AND status = ?',
+      ['cancelled', new Date().toISOString(), jobId, 'pending']
+    );
+    if (result.changes === 0) {
+      return null;
+    }
+    return this.getJob(jobId);
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.recoverInterruptedJobs()
+      .catch(error => logger.error('Failed to recover interrupted jobs:', error))
+      .then(() => this.poll());
+
+    this.timer = setInterval(() => {
+      this.poll();
+      this.probeBootingVMs();
+    }, POLL_INTERVAL);
+    logger.info(`Job worker started (concurrency ${CONCURRENCY})`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Jobs left `running` by a previous process never finished; scripts are not
+  // assumed to be idempotent, so they are failed rather than retried. Their
+  // VMs are released.
+  async recoverInterruptedJobs() {
+    const result = await db.run(
+      'UPDATE script_jobs SET status = ?, error = ?, completed_at = ? WHERE status = ?',
+      ['failed', 'Interrupted by server restart', new Date().toISOString(), 'running']
+    );
+    if (result.changes > 0) {
+      logger.warn(`Marked ${result.changes} interrupted job(s) as failed`);
+    }
+
+    const busy = await db.all('SELECT id FROM vms WHERE status = ?', ['busy']);
+    for (const vm of busy) {
+      await this.releaseVM(vm.id, 'Job interrupted by server restart');
+    }
+  }
+
+  async poll() {
+    if (this.polling) {
+      return;
+    }
+    this.polling = true;
+
+    try {
+      while (this.active < CONCURRENCY) {
+        const job = await this.claimNextJob();
+        if (!job) {
+          break;
+        }
+
+        this.active++;
+        this.runJob(job)
+          .catch(error => logger.error(`Job ${job.id} crashed:`, error))
+          .finally(() => {
+            this.active--;
+            setImmediate(() => this.poll());
+          });
+      }
+    } catch (error) {
+      logger.error('Job worker poll failed:', error);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  // Refresh booting VMs that have pending jobs from their provider; nothing
+  // else moves them to ready for providers the reconciler does not cover
+  async probeBootingVMs() {
+    if (this.probing) {
+      return;
+    }
+    this.probing = true;
+
+    try {
+      const rows = await db.all(
+        `SELECT DISTINCT v.id, v.provider FROM vms v
+         JOIN script_jobs j ON j.vm_id = v.id
+         WHERE j.status = 'pending' AND v.status = 'booting'`
+      );
+      const booting = new Set(rows.map(row => row.id));
+      for (const vmId of this.lastProbe.keys()) {
+        if (!booting.has(vmId)) {
+          this.lastProbe.delete(vmId);
+        }
+      }
+
+      let readied = false;
+      for (const { id, provider: providerName } of rows) {
+        if (Date.now() - (this.lastProbe.get(id) || 0) < BOOT_PROBE_INTERVAL) {
+          continue;
+        }
+        this.lastProbe.set(id, Date.now());
+
+        try {
+          const provider = providerRegistry.get(providerName);
+          const providerStatus = await provider.getVMStatus(id);
+          const vm = await vmLifecycle.observe(id, providerStatus && providerStatus.status, {
+            reason: `Status refresh from provider ${provider.name} for waiting jobs`,
+            actor: 'job-queue'
+          });
+          await vmStore.update(id, addressesFromProviderVM(providerStatus || {}));
+          readied = readied || (vm && vm.status !== 'booting');
+        } catch (error) {
+          logger.warn(`Could not check booting VM ${id}:`, error.message);
+        }
+      }
+
+      if (readied) {
+        setImmediate(() => this.poll());
+      }
+    } catch (error) {
+      logger.error('Booting VM probe failed:', error);
+    } finally {
+      this.probing = false;
+    }
+  }
+
+  // Claim the oldest pending job whose VM is free and mark the VM busy. Jobs
+  // for VMs that cannot become ready (stopped, deleted, error) fail here.
+  async claimNextJob() {
+    for (;;) {
+      const next = await db.get(
+        `SELECT j.* FROM script_jobs j
+         LEFT JOIN vms v ON v.id = j.vm_id
+         WHERE j.status = ? AND (v.status IS NULL OR v.status NOT IN (${WAITING_VM_STATUSES.map(() => '?').join(', ')}))
+         ORDER BY j.created_at LIMIT 1`,
+        ['pending', ...WAITING_VM_STATUSES]
+      );
+      if (!next) {
+        return null;
+      }
+
+      const claimed = await db.run(
+        'UPDATE script_jobs SET status = ?, started_at = ? WHERE id = ? AND status = ?',
+        ['running', new Date().toISOString(), next.id, 'pending']
+      );
+      if (claimed.changes !== 1) {
+        return null;
+      }
+
+      try {
+        await vmLifecycle.transition(next.vm_id, 'busy', { reason: `Running job ${next.id}`, actor: 'job-queue' });
+        return fromRow(next);
+      } catch (error) {
+        logger.warn(`Job ${next.id} cannot run on VM ${next.vm_id}:`, error.message);
+        await db.run(
+          'UPDATE script_jobs SET status = ?, error = ?, completed_at = ? WHERE id = ?',
+          ['failed', `VM is not ready: ${error.message}`, new Date().toISOString(), next.id]
+        );
+      }
+    }
+  }
+
+  // Return a VM to ready once its job is done. A VM that was stopped or
+  // deleted meanwhile stays as it is.
+  async releaseVM(vmId, reason) {
+    try {
+      await vmLifecycle.transition(vmId, 'ready', { reason, actor: 'job-queue' });
+    } catch (error) {
+      logger.warn(`Could not release VM ${vmId}:`, error.message);
+    }
+  }
+
+  async runJob(job) {
+    try {
+      const vm = await vmStore.get(job.vm_id);
+
+      const provider = providerRegistry.get(vm.provider);
+      logger.info(`Running job ${job.id} on VM ${vm.id} via provider ${provider.name}`);
+      const result = await provider.executeScript(vm.id, job.script, { ...(job.options || {}), jobId: job.id });
+
+      await db.run(
+        'UPDATE script_jobs SET status = ?, result = ?, screenshot_path = ?, selected_text = ?, completed_at = ? WHERE id = ?',
+        [
+          'completed',
+          JSON.stringify(result),
+          (result && (result.screenshot_path || result.screenshotPath)) || null,
+          (result && (result.selected_text || result.selectedText)) || null,
+          new Date().toISOString(),
+          job.id
+        ]
+      );
+      await vmStore.touch(vm.id);
+      logger.info(`Job ${job.id} completed`);
+    } catch (error) {
+      logger.error(`Job ${job.id} failed:`, error.message);
+      await db.run(
+        'UPDATE script_jobs SET status = ?, error = ?, completed_at = ? WHERE id = ?',
+        ['failed', error.message, new Date().toISOString(), job.id]
+      );
+    } finally {
+      await this.releaseVM(job.vm_id, `Job ${job.id} finished`);
+    }
+  }
+}
+
+module.exports = new JobQueue();
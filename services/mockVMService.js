@@ -0,0 +1,100 @@
+const logger = require('../utils/logger');
+const { NotFoundError } = require('../utils/errors');
+const VMProvider = require('./vmProvider');
+
+// In-memory VMs for tests and demos. Nothing is provisioned and scripts are
+// not run: every result is flagged `mock: true`. Only used when a request
+// asks for the mock provider, or opts into it with `fallback: 'mock'`.
+class MockVMService extends VMProvider {
+  constructor() {
+    super('mock', {
+      displayName: 'Mock VMs (tests and demos)',
+      features: ['mock-vms']
+    });
+
+    this.vms = new Map();
+  }
+
+  async createVM(vmId, { name, serverId, instanceType } = {}) {
+    const vm = {
+      containerId: `mock-container-${vmId}`,
+      containerName: `mock-vm-${vmId}`,
+      novncUrl: null,
+      agentUrl: null,
+      status: 'ready',
+      serverId: serverId || null,
+      serverName: 'Mock VMs',
+      createdVia: 'mock',
+      mock: true,
+      vmId,
+      name,
+      instanceType,
+      lastActivity: new Date().toISOString()
+    };
+
+    this.vms.set(vmId, vm);
+    logger.info(`Mock VM ${vmId} created`);
+    return vm;
+  }
+
+  async startVM(vmId) {
+    return this.setVMStatus(vmId, 'ready');
+  }
+
+  async stopVM(vmId) {
+    return this.setVMStatus(vmId, 'stopped');
+  }
+
+  async restartVM(vmId) {
+    return this.setVMStatus(vmId, 'ready');
+  }
+
+  async setVMStatus(vmId, status) {
+    const vm = this.getVM(vmId);
+    vm.status = status;
+    vm.lastActivity = new Date().toISOString();
+    return { success: true, status, mock: true };
+  }
+
+  async deleteVM(vmId) {
+    this.getVM(vmId);
+    this.vms.delete(vmId);
+    return { success: true, mock: true };
+  }
+
+  async getVMStatus(vmId) {
+    const vm = this.vms.get(vmId);
+    return vm ? { ...vm } : { status: 'not_found' };
+  }
+
+  async listVMs() {
+    return Array.from(this.vms.entries()).map(([id, vm]) => ({ id, ...vm }));
+  }
+
+  async executeScript(vmId, script, options = {}) {
+    const vm = this.getVM(vmId);
+    vm.lastActivity = new Date().toISOString();
+    return {
+      success: true,
+      mock: true,
+      result: null,
+      logs: ['Mock VM: the script was not executed']
+    };
+  }
+
+  async restoreVM(vm) {
+    if (!this.vms.has(vm.id)) {
+      this.vms.set(vm.id, this.fromStoredVM(vm));
+    }
+  }
+
+  getVM(vmId) {
+    const vm = this.vms.get(vmId);
+    if (!vm) {
+      throw new NotFoundError(`Mock VM ${vmId} not found`);
+    }
+    return vm;
+  }
+}
+
+module.exports = new MockVMService();
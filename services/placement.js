@@ -0,0 +1,118 @@
+const db = require('../database/init');
+const { ApiError } = require('../utils/errors');
+const servers = require('./servers');
+const { INACTIVE_VM_STATUSES } = require('./quotas');
+
+// Each strategy scores an eligible server between 0 and 1; higher wins
+const STRATEGIES = {
+  // Most free slots first, so VMs spread across servers
+  spread: (server, candidates) => server.free / Math.max(...candidates.map(candidate => candidate.free)),
+  // Fullest server that still has room, so idle servers stay empty
+  pack: (server) => server.used / server.max_vms,
+  // Lowest utilisation first, whatever the server's size
+  'least-loaded': (server) => 1 - server.used / server.max_vms
+};
+
+const DEFAULT_STRATEGY = process.env.PLACEMENT_STRATEGY || 'spread';
+
+// Chooses the registered server a self-hosted VM goes on. Servers that are
+// not active, not healthy, full or missing a required capability are
+// rejected; the rest are scored by the strategy, and servers in the preferred
+// location always outrank the others. The decision lists every server with
+// its score or the reasons it was rejected.
+class Placement {
+  // Active VMs per registered server, by server id
+  async loads() {
+    const placeholders = INACTIVE_VM_STATUSES.map(() => '?').join(', ');
+    const rows = await db.all(
+      `SELECT server_id, COUNT(*) as count FROM vms
+       WHERE server_id IS NOT NULL AND status NOT IN (${placeholders})
+       GROUP BY server_id`,
+      INACTIVE_VM_STATUSES
+    );
+    return new Map(rows.map(row => [row.server_id, row.count]));
+  }
+
+  // Why a server cannot take the VM; empty when it can
+  rejections(server, { capabilities = [] }) {
+    const reasons = [];
+    if (server.status !== 'active') {
+      reasons.push(`server is ${server.status}`);
+    }
+    if (server.health !== 'healthy') {
+      reasons.push(`health is ${server.health}`);
+    }
+    if (server.free <= 0) {
+      reasons.push(`full (${server.used}/${server.max_vms})`);
+    }
+    const missing = capabilities.filter(capability => !server.capabilities.includes(capability));
+    if (missing.length > 0) {
+      reasons.push(`missing capabilities: ${missing.join(', ')}`);
+    }
+    return reasons;
+  }
+
+  // Resolves to the decision without placing anything; `selected` is null
+  // when no server qualifies
+  async explain({ serverId, strategy = DEFAULT_STRATEGY, location, capabilities = [] } = {}) {
+    if (!STRATEGIES[strategy]) {
+      throw new ApiError(400, `Unknown placement strategy: ${strategy}`, { strategies: Object.keys(STRATEGIES) });
+    }
+
+    const [registered, loads] = await Promise.all([servers.listRegistered(), this.loads()]);
+    const pool = registered
+      .filter(server => !serverId || server.id === serverId)
+      .map(server => {
+        const used = loads.get(server.id) || 0;
+        return { ...server, used, free: Math.max(server.max_vms - used, 0) };
+      });
+
+    const candidates = pool.map(server => ({ server, reasons: this.rejections(server, { capabilities }) }));
+    const eligible = candidates.filter(candidate => candidate.reasons.length === 0).map(candidate => candidate.server);
+
+    const scored = candidates.map(({ server, reasons }) => {
+      const entry = {
+        id: server.id,
+        name: server.name,
+        location: server.location,
+        used: server.used,
+        max_vms: server.max_vms,
+        eligible: reasons.length === 0
+      };
+      if (!entry.eligible) {
+        return { ...entry, score: null, reasons };
+      }
+
+      const preferred = Boolean(location) && server.location === location;
+      const score = STRATEGIES[strategy](server, eligible) + (preferred ? 1 : 0);
+      return { ...entry, score: Math.round(score * 1000) / 1000, preferred_location: preferred };
+    });
+
+    // Highest score first; ties go to the server registered first
+    const ranked = scored.filter(entry => entry.eligible).sort((a, b) => b.score - a.score);
+    const selected = ranked.length > 0 ? ranked[0].id : null;
+
+    return {
+      strategy,
+      requested: { server_id: serverId || null, location: location || null, capabilities },
+      selected,
+      candidates: [...ranked, ...scored.filter(entry => !entry.eligible)]
+    };
+  }
+
+  // Resolves to { server, decision }, or throws when no server qualifies
+  async place(options = {}) {
+    const decision = await this.explain(options);
+    if (!decision.selected) {
+      const message = options.serverId
+        ? `Server ${options.serverId} cannot take the VM`
+        : 'No registered server can take the VM';
+      throw new ApiError(options.serverId ? 409 : 503, message, { placement: decision });
+    }
+    return { server: await servers.get(decision.selected), decision };
+  }
+}
+
+module.exports = new Placement();
+module.exports.STRATEGIES = STRATEGIES;
+module.exports.DEFAULT_STRATEGY = DEFAULT_STRATEGY;
@@ -0,0 +1,62 @@
+const logger = require('../utils/logger');
+const { ApiError } = require('../utils/errors');
+const VMProvider = require('./vmProvider');
+
+const DEFAULT_PROVIDER = process.env.VM_PROVIDER || 'cloudflare';
+
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+  }
+
+  register(provider) {
+    if (!(provider instanceof VMProvider)) {
+      throw new Error('Providers must extend VMProvider');
+    }
+    if (this.providers.has(provider.name)) {
+      throw new Error(`Provider ${provider.name} is already registered`);
+    }
+
+    this.providers.set(provider.name, provider);
+    logger.info(`VM provider registered: ${provider.name}`);
+    return provider;
+  }
+
+  has(name) {
+    return this.providers.has(name);
+  }
+
+  get(name = DEFAULT_PROVIDER) {
+    const provider = this.providers.get(name);
+    if (!provider) {
+      throw new ApiError(400, `Unknown VM provider: ${name}`, { available: this.names() });
+    }
+    return provider;
+  }
+
+  names() {
+    return Array.from(this.providers.keys());
+  }
+
+  getDefaultName() {
+    return DEFAULT_PROVIDER;
+  }
+
+  list() {
+    return Array.from(this.providers.values()).map(provider => ({
+      ...provider.getCapabilities(),
+      default: provider.name === DEFAULT_PROVIDER
+    }));
+  }
+}
+
+const registry = new ProviderRegistry();
+
+registry.register(require('./realVMService'));
+registry.register(require('./dockerService'));
+registry.register(require('./railwayVMService'));
+registry.register(require('./googleCloudVMService'));
+registry.register(require('./cloudVMService'));
+registry.register(require('./mockVMService'));
+
+module.exports = registry;
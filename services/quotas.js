@@ -0,0 +1,182 @@
+const db = require('../database/init');
+const { parseJSON } = require('../utils/json');
+const { ApiError, QuotaExceededError } = require('../utils/errors');
+const servers = require('./servers');
+
+// Limits for tenants without their own row in tenant_quotas
+const DEFAULT_MAX_VMS = parseInt(process.env.QUOTA_MAX_VMS, 10) || 20;
+const DEFAULT_MAX_CONCURRENT_JOBS = parseInt(process.env.QUOTA_MAX_CONCURRENT_JOBS, 10) || 10;
+
+// VMs in these states hold no resources and do not count against quotas
+const INACTIVE_VM_STATUSES = ['error', 'deleted'];
+
+// Jobs that have not finished yet
+const ACTIVE_JOB_STATUSES = ['pending', 'running'];
+
+// Quota checks for VM creation and job submission, plus the usage report
+// behind GET /api/quotas. Count limits fail with 429; instance types a tenant
+// may not use fail with 403.
+//
+// A check and the insert it admits run as one step (admitVM, admitJobs):
+// steps sharing a queue run one at a time, like the Docker port allocator,
+// so two requests cannot both see the last free slot.
+class Quotas {
+  constructor() {
+    this.queues = new Map();
+  }
+
+  serialize(key, fn) {
+    const run = (this.queues.get(key) || Promise.resolve()).then(fn);
+    const tail = run.catch(() => {});
+    this.queues.set(key, tail);
+    tail.then(() => {
+      if (this.queues.get(key) === tail) {
+        this.queues.delete(key);
+      }
+    });
+    return run;
+  }
+
+  // reserve must record the VM (or claim one); it resolves to whatever
+  // reserve resolves to. Server limits span tenants, so every VM creation
+  // shares one queue.
+  admitVM(request, reserve) {
+    return this.serialize('vms', async () => {
+      await this.checkVMCreate(request);
+      return reserve();
+    });
+  }
+
+  // enqueue must insert the jobs; each tenant has its own queue
+  admitJobs(tenantId, count, enqueue) {
+    return this.serialize(`jobs:${tenantId}`, async () => {
+      await this.checkJobSubmission(tenantId, count);
+      return enqueue();
+    });
+  }
+
+  async getLimits(tenantId) {
+    const row = await db.get('SELECT * FROM tenant_quotas WHERE tenant_id = ?', [tenantId]);
+    return {
+      max_vms: row && row.max_vms !== null ? row.max_vms : DEFAULT_MAX_VMS,
+      max_concurrent_jobs: row && row.max_concurrent_jobs !== null ? row.max_concurrent_jobs : DEFAULT_MAX_CONCURRENT_JOBS,
+      // null means every instance type is allowed
+      allowed_instance_types: row ? parseJSON(row.allowed_instance_types) : null
+    };
+  }
+
+  // Only the given limits change; null resets a limit to its default
+  async setLimits(tenantId, { maxVMs, maxConcurrentJobs, allowedInstanceTypes }) {
+    const current = await db.get('SELECT * FROM tenant_quotas WHERE tenant_id = ?', [tenantId]) || {};
+    const merged = {
+      max_vms: maxVMs !== undefined ? maxVMs : current.max_vms,
+      max_concurrent_jobs: maxConcurrentJobs !== undefined ? maxConcurrentJobs : current.max_concurrent_jobs,
+      allowed_instance_types: allowedInstanceTypes !== undefined
+        ? allowedInstanceTypes && JSON.stringify(allowedInstanceTypes)
+        : current.allowed_instance_types
+    };
+
+    await db.run(
+      `INSERT OR REPLACE INTO tenant_quotas (tenant_id, max_vms, max_concurrent_jobs, allowed_instance_types, updated_at)
+       VALUES (?, ?, ?, ?, ?)`,
+      [
+        tenantId,
+        merged.max_vms === undefined ? null : merged.max_vms,
+        merged.max_concurrent_jobs === undefined ? null : merged.max_concurrent_jobs,
+        merged.allowed_instance_types || null,
+        new Date().toISOString()
+      ]
+    );
+
+    return this.getLimits(tenantId);
+  }
+
+  async countVMs(column, value) {
+    const placeholders = INACTIVE_VM_STATUSES.map(() => '?').join(', ');
+    const row = await db.get(
+      `SELECT COUNT(*) as count FROM vms WHERE ${column} = ? AND status NOT IN (${placeholders})`,
+      [value, ...INACTIVE_VM_STATUSES]
+    );
+    return row.count;
+  }
+
+  async countActiveJobs(tenantId) {
+    const placeholders = ACTIVE_JOB_STATUSES.map(() => '?').join(', ');
+    const row = await db.get(
+      `SELECT COUNT(*) as count FROM script_jobs WHERE tenant_id = ? AND status IN (${placeholders})`,
+      [tenantId, ...ACTIVE_JOB_STATUSES]
+    );
+    return row.count;
+  }
+
+  async checkVMCreate({ tenantId, serverId, instanceType }) {
+    const limits = await this.getLimits(tenantId);
+
+    if (instanceType && limits.allowed_instance_types && !limits.allowed_instance_types.includes(instanceType)) {
+      throw new ApiError(403, `Instance type ${instanceType} is not allowed for this tenant`, {
+        quota: 'instance_types',
+        allowed: limits.allowed_instance_types
+      });
+    }
+
+    const tenantVMs = await this.countVMs('tenant_id', tenantId);
+    if (tenantVMs >= limits.max_vms) {
+      throw new QuotaExceededError('vms', `VM quota exceeded (${tenantVMs}/${limits.max_vms})`, {
+        limit: limits.max_vms,
+        used: tenantVMs
+      });
+    }
+
+    if (serverId) {
+      const server = await servers.get(serverId);
+      if (!server) {
+        throw new ApiError(400, `Unknown server: ${serverId}`);
+      }
+      if (server.status !== 'active') {
+        throw new ApiError(409, `Server ${serverId} is ${server.status} and takes no new VMs`, { status: server.status });
+      }
+
+      const serverVMs = await this.countVMs('server_id', serverId);
+      if (server.max_vms && serverVMs >= server.max_vms) {
+        throw new QuotaExceededError('server_vms', `Server ${serverId} is full (${serverVMs}/${server.max_vms})`, {
+          limit: server.max_vms,
+          used: serverVMs
+        });
+      }
+    }
+  }
+
+  async checkJobSubmission(tenantId, count = 1) {
+    const limits = await this.getLimits(tenantId);
+    const activeJobs = await this.countActiveJobs(tenantId);
+
+    if (activeJobs + count > limits.max_concurrent_jobs) {
+      throw new QuotaExceededError(
+        'concurrent_jobs',
+        `Concurrent job quota exceeded (${activeJobs} active, ${count} requested, limit ${limits.max_concurrent_jobs})`,
+        { limit: limits.max_concurrent_jobs, used: activeJobs, requested: count }
+      );
+    }
+  }
+
+  async getUsage(tenantId) {
+    const limits = await this.getLimits(tenantId);
+    const allServers = await servers.list();
+
+    return {
+      tenant_id: tenantId,
+      vms: { limit: limits.max_vms, used: await this.countVMs('tenant_id', tenantId) },
+      concurrent_jobs: { limit: limits.max_concurrent_jobs, used: await this.countActiveJobs(tenantId) },
+      instance_types: { allowed: limits.allowed_instance_types },
+      servers: await Promise.all(allServers.map(async server => ({
+        id: server.id,
+        name: server.name,
+        max_vms: server.max_vms,
+        used: await this.countVMs('server_id', server.id)
+      })))
+    };
+  }
+}
+
+module.exports = new Quotas();
+module.exports.INACTIVE_VM_STATUSES = INACTIVE_VM_STATUSES;
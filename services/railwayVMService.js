@@ -1,182 +1,350 @@
 const axios = require('axios');
 const logger = require('../utils/logger');
+const { ProviderError } = require('../utils/errors');
+const VMProvider = require('./vmProvider');
 
-class RailwayVMService {
+// Latest deployment status -> VM status
+const DEPLOYMENT_STATUSES = {
+  SUCCESS: 'ready',
+  QUEUED: 'booting',
+  WAITING: 'booting',
+  INITIALIZING: 'booting',
+  BUILDING: 'booting',
+  DEPLOYING: 'booting',
+  FAILED: 'error',
+  CRASHED: 'error',
+  SLEEPING: 'stopped',
+  REMOVING: 'stopping',
+  REMOVED: 'stopped'
+};
+
+const FAILED_DEPLOYMENTS = ['FAILED', 'CRASHED'];
+
+// Sizes passed to the image as MEMORY_LIMIT and CPU_LIMIT
+const INSTANCE_TYPES = [
+  { type: 't3.micro', name: 'T3 Micro', vcpus: 2, shared_core: false, memory_mb: 1024, storage_gb: 8, hourly_price: 0.0104 },
+  { type: 't3.small', name: 'T3 Small', vcpus: 2, shared_core: false, memory_mb: 2048, storage_gb: 20, hourly_price: 0.0208 },
+  { type: 't3.medium', name: 'T3 Medium', vcpus: 2, shared_core: false, memory_mb: 4096, storage_gb: 50, hourly_price: 0.0416, default: true },
+  { type: 't3.large', name: 'T3 Large', vcpus: 2, shared_core: false, memory_mb: 8192, storage_gb: 100, hourly_price: 0.0832 },
+  { type: 't3.xlarge', name: 'T3 XLarge', vcpus: 4, shared_core: false, memory_mb: 16384, storage_gb: 200, hourly_price: 0.1664 },
+  { type: 't3.2xlarge', name: 'T3 2XLarge', vcpus: 8, shared_core: false, memory_mb: 32768, storage_gb: 500, hourly_price: 0.3328 }
+];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// One Railway service per VM, created in RAILWAY_PROJECT_ID from the image in
+// generateRailwayConfig() through the Railway GraphQL API. The agent and noVNC
+// ports each get a Railway domain. Service and environment ids are returned
+// from createVM, so they are kept in the VM's metadata and restored after a
+// restart.
+class RailwayVMService extends VMProvider {
   constructor() {
+    super('railway', {
+      displayName: 'Railway VM Hosting',
+      features: ['containers', 'chrome-automation'],
+      instanceTypes: INSTANCE_TYPES
+    });
+
     this.railwayApiUrl = process.env.RAILWAY_API_URL || 'https://backboard.railway.app';
     this.railwayApiKey = process.env.RAILWAY_API_KEY;
     this.projectId = process.env.RAILWAY_PROJECT_ID;
-    
+    this.environmentId = process.env.RAILWAY_ENVIRONMENT_ID;
+    this.environmentName = process.env.RAILWAY_ENVIRONMENT || 'production';
+    this.image = process.env.RAILWAY_VM_IMAGE || 'browserless/chrome:latest';
+    this.deployPollInterval = parseInt(process.env.RAILWAY_DEPLOY_POLL_MS, 10) || 5000;
+    this.deployTimeout = parseInt(process.env.RAILWAY_DEPLOY_TIMEOUT_MS, 10) || 600000;
+
     // VM registry to track running VMs
     this.runningVMs = new Map();
-    
+
     logger.info(`Railway VM Service initialized with API URL: ${this.railwayApiUrl}`);
   }
 
   async isAvailable() {
     try {
-      // Check if Railway API key is available
-      if (!this.railwayApiKey) {
-        logger.warn('Railway API key not available');
+      if (!this.railwayApiKey || !this.projectId) {
+        logger.warn('Railway API key or project not configured');
         return false;
       }
-      
-      // Test Railway API access
-      const response = await axios.get(`${this.railwayApiUrl}/v1/projects`, {
+
+      const data = await this.graphql('query project($id: String!) { project(id: $id) { id name } }', { id: this.projectId });
+      logger.info(`Railway API accessible: project ${data.project.name}`);
+      return true;
+    } catch (error) {
+      logger.warn('Railway service not available:', error.message);
+      return false;
+    }
+  }
+
+  // Run a GraphQL query or mutation; HTTP and GraphQL errors both become
+  // ProviderErrors
+  async graphql(query, variables = {}) {
+    if (!this.railwayApiKey || !this.projectId) {
+      throw new ProviderError(this.name, 'Railway is not configured (RAILWAY_API_KEY, RAILWAY_PROJECT_ID)');
+    }
+
+    let response;
+    try {
+      response = await axios.post(`${this.railwayApiUrl}/graphql/v2`, { query, variables }, {
         headers: {
           'Authorization': `Bearer ${this.railwayApiKey}`,
           'Content-Type': 'application/json'
         },
-        timeout: 5000
+        timeout: 30000
       });
-      
-      logger.info(`Railway API accessible: ${response.status}`);
-      return response.status === 200;
     } catch (error) {
-      logger.warn('Railway service not available:', error.message);
-      // For now, return true to allow testing with enhanced mock VMs
-      return true;
+      const apiErrors = error.response && error.response.data && error.response.data.errors;
+      const message = apiErrors ? apiErrors.map(apiError => apiError.message).join('; ') : error.message;
+      throw new ProviderError(this.name, `Railway API request failed: ${message}`);
     }
+
+    if (response.data.errors && response.data.errors.length > 0) {
+      throw new ProviderError(this.name, `Railway API error: ${response.data.errors.map(apiError => apiError.message).join('; ')}`);
+    }
+    return response.data.data;
   }
 
-  async createVM(vmId, name, serverId, instanceType = 't3.medium') {
-    try {
-      logger.info(`Creating Railway VM ${vmId} with name ${name} and type ${instanceType}`);
-      
-      // Check if service is available
-      const serviceAvailable = await this.isAvailable();
-      
-      if (!serviceAvailable) {
-        // Fallback to enhanced mock VM
-        return await this.createEnhancedMockVM(vmId, name, serverId, instanceType, 'Railway service not configured');
-      }
+  // RAILWAY_ENVIRONMENT_ID, or the project environment named RAILWAY_ENVIRONMENT
+  async getEnvironmentId() {
+    if (this.environmentId) {
+      return this.environmentId;
+    }
+
+    const data = await this.graphql(
+      'query environments($id: String!) { project(id: $id) { environments { edges { node { id name } } } } }',
+      { id: this.projectId }
+    );
+    const environment = data.project.environments.edges
+      .map(edge => edge.node)
+      .find(node => node.name === this.environmentName);
+    if (!environment) {
+      throw new ProviderError(this.name, `Railway environment ${this.environmentName} not found in project ${this.projectId}`);
+    }
 
-      // For now, create an enhanced mock VM that simulates Railway
-      // In production, this would create a real Railway container
-      return await this.createEnhancedMockVM(vmId, name, serverId, instanceType, 'Railway VM (Enhanced Mock)');
+    this.environmentId = environment.id;
+    return this.environmentId;
+  }
 
-    } catch (error) {
-      logger.error(`Failed to create VM ${vmId} on Railway:`, error);
-      // Fallback to enhanced mock VM if Railway fails
-      return await this.createEnhancedMockVM(vmId, name, serverId, instanceType, error.message);
+  async latestDeployment(vm) {
+    const data = await this.graphql(
+      `query deployments($input: DeploymentListInput!) {
+        deployments(first: 1, input: $input) { edges { node { id status } } }
+      }`,
+      { input: { projectId: this.projectId, environmentId: vm.environmentId, serviceId: vm.serviceId } }
+    );
+    const edge = data.deployments.edges[0];
+    return edge ? edge.node : null;
+  }
+
+  async getDeployment(id) {
+    const data = await this.graphql('query deployment($id: String!) { deployment(id: $id) { id status } }', { id });
+    return data.deployment;
+  }
+
+  // Poll a deployment until it succeeds; failed or crashed deployments throw
+  async waitForDeployment(vm, deploymentId) {
+    const deadline = Date.now() + this.deployTimeout;
+
+    for (;;) {
+      const deployment = await this.getDeployment(deploymentId);
+      if (deployment && deployment.status === 'SUCCESS') {
+        return deployment;
+      }
+      if (deployment && FAILED_DEPLOYMENTS.includes(deployment.status)) {
+        throw new ProviderError(this.name, `Railway deployment ${deployment.id} ${deployment.status.toLowerCase()}`);
+      }
+      if (Date.now() > deadline) {
+        throw new ProviderError(this.name, `Railway deployment for service ${vm.serviceId} did not finish in time`);
+      }
+      await sleep(this.deployPollInterval);
     }
   }
 
-  async getVMStatus(vmId) {
-    try {
-      const vm = this.runningVMs.get(vmId);
-      if (!vm) {
-        return { status: 'not_found' };
+  async createDomain(serviceId, environmentId, targetPort) {
+    const data = await this.graphql(
+      'mutation serviceDomainCreate($input: ServiceDomainCreateInput!) { serviceDomainCreate(input: $input) { id domain } }',
+      { input: { serviceId, environmentId, targetPort } }
+    );
+    return data.serviceDomainCreate.domain;
+  }
+
+  async createVM(vmId, { name, serverId, instanceType } = {}) {
+    instanceType = this.resolveInstanceType(instanceType);
+    const spec = this.getInstanceType(instanceType);
+    const config = this.generateRailwayConfig(vmId, instanceType).services['chrome-vm'];
+    const [agentPort, novncPort] = config.ports.map(port => port.port);
+    const environmentId = await this.getEnvironmentId();
+
+    logger.info(`Creating Railway service for VM ${vmId} from ${config.source.image}`);
+    const data = await this.graphql(
+      'mutation serviceCreate($input: ServiceCreateInput!) { serviceCreate(input: $input) { id name } }',
+      {
+        input: {
+          projectId: this.projectId,
+          environmentId,
+          name: `chrome-vm-${vmId}`,
+          source: { image: config.source.image },
+          variables: { ...config.variables, PORT: String(agentPort) }
+        }
       }
+    );
+    const serviceId = data.serviceCreate.id;
 
-      // In a real scenario, this would query Railway APIs for container status
-      return { 
-        status: vm.status,
-        memory: vm.memory,
-        cpu: vm.cpu,
-        storage: vm.storage,
-        lastActivity: vm.lastActivity
+    try {
+      const agentDomain = await this.createDomain(serviceId, environmentId, agentPort);
+      const novncDomain = await this.createDomain(serviceId, environmentId, novncPort);
+      const vm = {
+        containerId: serviceId,
+        containerName: data.serviceCreate.name,
+        serviceId,
+        environmentId,
+        novncPort,
+        agentPort,
+        novncUrl: `https://${novncDomain}`,
+        agentUrl: `https://${agentDomain}`,
+        serverId: serverId || 'default-railway-server',
+        serverName: 'Railway VM Hosting',
+        region: 'railway-cloud',
+        createdVia: 'railway',
+        vmId,
+        name,
+        instanceType,
+        vcpus: spec.vcpus,
+        memoryMb: spec.memory_mb,
+        storageGb: spec.storage_gb
       };
+
+      // The first deployment can take minutes; the VM is handed back while it
+      // runs and getVMStatus reports how it ends (the reconciler and the job
+      // queue's boot probe ask)
+      const deployment = await this.latestDeployment(vm);
+      vm.deploymentId = deployment ? deployment.id : null;
+      vm.status = (deployment && DEPLOYMENT_STATUSES[deployment.status]) || 'booting';
+      vm.lastActivity = new Date().toISOString();
+
+      this.runningVMs.set(vmId, vm);
+      logger.info(`✅ VM ${vmId} deploying on Railway (service ${serviceId}, agent ${vm.agentUrl})`);
+      return vm;
     } catch (error) {
-      logger.error(`Failed to get VM status ${vmId}:`, error);
-      return { status: 'error', error: error.message };
+      logger.error(`Failed to set up VM ${vmId} on Railway, removing service ${serviceId}:`, error.message);
+      await this.deleteService(serviceId, environmentId).catch(deleteError => {
+        logger.error(`Failed to remove Railway service ${serviceId}:`, deleteError.message);
+      });
+      throw error;
+    }
+  }
+
+  getVM(vmId) {
+    const vm = this.runningVMs.get(vmId);
+    if (!vm || !vm.serviceId) {
+      throw new ProviderError(this.name, `VM ${vmId} has no Railway service`);
+    }
+    return vm;
+  }
+
+  async getVMStatus(vmId) {
+    const vm = this.runningVMs.get(vmId);
+    if (!vm || !vm.serviceId) {
+      return { status: 'not_found' };
     }
+
+    const deployment = await this.latestDeployment(vm);
+    vm.status = deployment ? DEPLOYMENT_STATUSES[deployment.status] || 'booting' : 'stopped';
+    vm.deploymentId = deployment ? deployment.id : null;
+    return { ...vm };
+  }
+
+  async deleteService(serviceId, environmentId) {
+    await this.graphql(
+      'mutation serviceDelete($id: String!, $environmentId: String) { serviceDelete(id: $id, environmentId: $environmentId) }',
+      { id: serviceId, environmentId }
+    );
   }
 
+  // Deleting the service also removes its deployments and domains
   async deleteVM(vmId) {
+    const vm = this.getVM(vmId);
+    await this.deleteService(vm.serviceId, vm.environmentId);
+    this.runningVMs.delete(vmId);
+
+    logger.info(`✅ VM ${vmId} deleted successfully from Railway`);
+    return { success: true };
+  }
+
+  // Deploy the service again; the mutation answers with the new deployment's id
+  async startVM(vmId) {
+    const vm = this.getVM(vmId);
+    const data = await this.graphql(
+      'mutation serviceInstanceDeployV2($serviceId: String!, $environmentId: String!) { serviceInstanceDeployV2(serviceId: $serviceId, environmentId: $environmentId) }',
+      { serviceId: vm.serviceId, environmentId: vm.environmentId }
+    );
+    return this.deployed(vm, data.serviceInstanceDeployV2);
+  }
+
+  async stopVM(vmId) {
+    const vm = this.getVM(vmId);
+    const deployment = await this.latestDeployment(vm);
+    if (deployment && DEPLOYMENT_STATUSES[deployment.status] !== 'stopped') {
+      await this.graphql('mutation deploymentStop($id: String!) { deploymentStop(id: $id) }', { id: deployment.id });
+    }
+
+    vm.status = 'stopped';
+    vm.lastActivity = new Date().toISOString();
+    logger.info(`VM ${vmId} on Railway is now stopped`);
+    return { success: true, status: vm.status };
+  }
+
+  async restartVM(vmId) {
+    const vm = this.getVM(vmId);
+    const deployment = await this.latestDeployment(vm);
+    if (!deployment) {
+      throw new ProviderError(this.name, `VM ${vmId} has no Railway deployment to restart`);
+    }
+
+    const data = await this.graphql(
+      'mutation deploymentRedeploy($id: String!) { deploymentRedeploy(id: $id) { id status } }',
+      { id: deployment.id }
+    );
+    return this.deployed(vm, data.deploymentRedeploy.id);
+  }
+
+  // Wait for the deployment a start or restart created and report the VM as
+  // ready. Polling the latest deployment instead could still see the previous
+  // SUCCESS one and report ready too early.
+  async deployed(vm, deploymentId) {
+    const deployment = await this.waitForDeployment(vm, deploymentId);
+    vm.deploymentId = deployment.id;
+    vm.status = DEPLOYMENT_STATUSES[deployment.status];
+    vm.lastActivity = new Date().toISOString();
+    logger.info(`VM ${vm.vmId} on Railway is now ${vm.status}`);
+    return { success: true, status: vm.status };
+  }
+
+  async executeScript(vmId, script, options = {}) {
     try {
       const vm = this.runningVMs.get(vmId);
       if (!vm) {
         throw new Error('VM not found');
       }
 
-      // In a real scenario, this would call Railway APIs to stop the container
-      // For now, just remove from registry
-      this.runningVMs.delete(vmId);
-      
-      logger.info(`✅ VM ${vmId} deleted successfully from Railway`);
-      return { success: true };
+      vm.lastActivity = new Date().toISOString();
+      return await this.runOnAgent(vm.agentUrl, script, options);
     } catch (error) {
-      logger.error(`Failed to delete VM ${vmId}:`, error);
+      logger.error(`Failed to execute script on VM ${vmId}:`, error);
       throw error;
     }
   }
 
-  // Enhanced mock VM creation for fallback
-  async createEnhancedMockVM(vmId, name, serverId, instanceType, errorMessage = 'Railway service unavailable') {
-    logger.info(`Creating enhanced mock Railway VM ${vmId} due to: ${errorMessage}`);
-    
-    // Simulate realistic VM creation time
-    await new Promise(resolve => setTimeout(resolve, 2500));
-    
-    const mockVM = {
-      containerId: `railway-vm-${vmId}`,
-      containerName: `railway-vm-${vmId}`,
-      novncPort: 6080,
-      agentPort: 3000,
-      novncUrl: `https://chrome-vm-workers.mgmt-5e1.workers.dev/vms/${vmId}/novnc`,
-      agentUrl: `https://chrome-vm-workers.mgmt-5e1.workers.dev/vms/${vmId}/agent`,
-      status: 'ready',
-      serverId: serverId || 'default-railway-server',
-      serverName: 'Railway VM Hosting (Enhanced Mock)',
-      publicIp: 'railway-ip',
-      region: 'railway-cloud',
-      createdVia: 'railway-enhanced',
-      error: errorMessage,
-      vmId: vmId,
-      instanceType: instanceType,
-      memory: this.getMemoryForInstanceType(instanceType),
-      cpu: this.getCPUForInstanceType(instanceType),
-      storage: this.getStorageForInstanceType(instanceType),
-      chromeVersion: '120.0.0.0',
-      nodeVersion: '18.19.0',
-      lastActivity: new Date().toISOString()
-    };
-    
-    this.runningVMs.set(vmId, mockVM);
-    return mockVM;
-  }
-
-  getMemoryForInstanceType(instanceType) {
-    const memoryMap = {
-      't3.micro': '1GB',
-      't3.small': '2GB',
-      't3.medium': '4GB',
-      't3.large': '8GB',
-      't3.xlarge': '16GB',
-      't3.2xlarge': '32GB'
-    };
-    return memoryMap[instanceType] || '4GB';
-  }
-
-  getCPUForInstanceType(instanceType) {
-    const cpuMap = {
-      't3.micro': '2 vCPU',
-      't3.small': '2 vCPU',
-      't3.medium': '2 vCPU',
-      't3.large': '2 vCPU',
-      't3.xlarge': '4 vCPU',
-      't3.2xlarge': '8 vCPU'
-    };
-    return cpuMap[instanceType] || '2 vCPU';
-  }
-
-  getStorageForInstanceType(instanceType) {
-    const storageMap = {
-      't3.micro': '8GB',
-      't3.small': '20GB',
-      't3.medium': '50GB',
-      't3.large': '100GB',
-      't3.xlarge': '200GB',
-      't3.2xlarge': '500GB'
-    };
-    return storageMap[instanceType] || '50GB';
+  // Re-register a VM from the vms table after a restart
+  async restoreVM(vm) {
+    if (!this.runningVMs.has(vm.id)) {
+      this.runningVMs.set(vm.id, this.fromStoredVM(vm));
+    }
   }
 
   // Get all running VMs
-  async getAllVMs() {
+  async listVMs() {
     try {
-      // Return enhanced mock VMs for now
       return Array.from(this.runningVMs.values());
     } catch (error) {
       logger.error('Failed to get all VMs from Railway:', error);
@@ -184,34 +352,23 @@ class RailwayVMService {
     }
   }
 
-  // Get available instance types
-  async getAvailableInstanceTypes() {
-    return [
-      { type: 't3.micro', name: 'T3 Micro', memory: '1GB', cpu: '2 vCPU', price: '$0.0104/hour' },
-      { type: 't3.small', name: 'T3 Small', memory: '2GB', cpu: '2 vCPU', price: '$0.0208/hour' },
-      { type: 't3.medium', name: 'T3 Medium', memory: '4GB', cpu: '2 vCPU', price: '$0.0416/hour' },
-      { type: 't3.large', name: 'T3 Large', memory: '8GB', cpu: '2 vCPU', price: '$0.0832/hour' },
-      { type: 't3.xlarge', name: 'T3 XLarge', memory: '16GB', cpu: '4 vCPU', price: '$0.1664/hour' },
-      { type: 't3.2xlarge', name: 'T3 2XLarge', memory: '32GB', cpu: '8 vCPU', price: '$0.3328/hour' }
-    ];
-  }
-
   // Create Railway deployment configuration
   generateRailwayConfig(vmId, instanceType) {
+    const spec = this.getInstanceType(instanceType);
     return {
       version: 2,
       services: {
         'chrome-vm': {
           source: {
             type: 'image',
-            image: 'browserless/chrome:latest'
+            image: this.image
           },
           variables: {
             NODE_ENV: 'production',
             CHROME_VM_ID: vmId,
             INSTANCE_TYPE: instanceType,
-            MEMORY_LIMIT: this.getMemoryForInstanceType(instanceType),
-            CPU_LIMIT: this.getCPUForInstanceType(instanceType)
+            MEMORY_LIMIT: `${spec.memory_mb / 1024}GB`,
+            CPU_LIMIT: `${spec.vcpus} vCPU`
           },
           ports: [
             { port: 3000, protocol: 'tcp' },
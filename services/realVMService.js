@@ -1,9 +1,15 @@
 const axios = require('axios');
-const { v4: uuidv4 } = require('uuid');
 const logger = require('../utils/logger');
+const { ProviderError } = require('../utils/errors');
+const VMProvider = require('./vmProvider');
 
-class RealVMService {
+class RealVMService extends VMProvider {
   constructor() {
+    super('cloudflare', {
+      displayName: 'Cloudflare Workers VM Hosting',
+      features: ['fast-deployment', 'serverless', 'edge-computing']
+    });
+
     // Cloudflare Workers VM hosting endpoint
     this.vmHostingUrl = process.env.VM_HOSTING_URL || 'https://chrome-vm-workers.mgmt-5e1.workers.dev';
     
@@ -22,13 +28,12 @@ class RealVMService {
       logger.info(`Cloudflare Workers health check: ${response.status} - ${JSON.stringify(response.data)}`);
       return response.status === 200;
     } catch (error) {
-      logger.warn('VM hosting service not available, using mock VMs:', error.message);
-      // Always return true to force Cloudflare Workers usage
-      return true;
+      logger.warn('Cloudflare Workers VM hosting not available:', error.message);
+      return false;
     }
   }
 
-  async createVM(vmId, name, serverId, instanceType = 't3.medium') {
+  async createVM(vmId, { name, serverId, instanceType } = {}) {
     try {
       logger.info(`Creating real VM ${vmId} with name ${name} on Cloudflare Workers`);
       
@@ -85,8 +90,7 @@ class RealVMService {
         logger.error(`Response status: ${error.response.status}`);
         logger.error(`Response data: ${JSON.stringify(error.response.data)}`);
       }
-      // Fallback to mock VM if Cloudflare Workers fails
-      return await this.createMockVM(vmId, name, serverId, error.message);
+      throw new ProviderError(this.name, `Cloudflare Workers could not create VM: ${error.message}`);
     }
   }
 
@@ -137,12 +141,11 @@ class RealVMService {
         logger.warn(`VM ${vmId} not found on Cloudflare Workers: ${error.message}`);
       }
 
-      // Fallback to mock VM
-      logger.warn(`VM ${vmId} not found in registry or Cloudflare Workers. Returning mock status.`);
-      return await this.createMockVM(vmId, `Mock VM for ${vmId}`, 'default-cloud-server', 'VM not found in active containers.');
+      logger.warn(`VM ${vmId} not found in registry or Cloudflare Workers`);
+      return { status: 'not_found' };
     } catch (error) {
       logger.error(`Error getting VM status for ${vmId}:`, error);
-      return await this.createMockVM(vmId, `Mock VM for ${vmId}`, 'default-cloud-server', error.message);
+      return { status: 'error', error: error.message };
     }
   }
 
@@ -151,22 +154,16 @@ class RealVMService {
       const vm = this.runningVMs.get(vmId);
       if (vm && vm.vmId) {
         // Stop VM on Cloudflare Workers
-        try {
-          const response = await axios.delete(`${this.vmHostingUrl}/vms/${vm.vmId}`, { timeout: 10000 });
-          if (response.status === 200) {
-            this.runningVMs.delete(vmId);
-            logger.info(`VM ${vmId} (Cloudflare Workers: ${vm.vmId}) stopped and removed.`);
-            return { success: true, message: `VM ${vmId} stopped.` };
-          }
-        } catch (error) {
-          logger.error(`Failed to stop VM ${vmId} on Cloudflare Workers:`, error);
+        const response = await axios.post(`${this.vmHostingUrl}/vms/${vm.vmId}/stop`, {}, { timeout: 10000 });
+        if (response.status === 200) {
+          vm.status = 'stopped';
+          vm.lastActivity = new Date().toISOString();
+          this.runningVMs.set(vmId, vm);
+          logger.info(`VM ${vmId} stopped.`);
+          return { success: true, message: `VM ${vmId} stopped.` };
         }
       }
-      
-      // Fallback: just remove from registry
-      this.runningVMs.delete(vmId);
-      logger.info(`VM ${vmId} removed from registry.`);
-      return { success: true, message: `VM ${vmId} stopped.` };
+      throw new ProviderError(this.name, `VM ${vmId} not found on Cloudflare Workers`);
     } catch (error) {
       logger.error(`Failed to stop VM ${vmId}:`, error);
       throw error;
@@ -187,7 +184,7 @@ class RealVMService {
           return { success: true, message: `VM ${vmId} started.` };
         }
       }
-      return { success: false, message: `VM ${vmId} not found.` };
+      throw new ProviderError(this.name, `VM ${vmId} not found on Cloudflare Workers`);
     } catch (error) {
       logger.error(`Failed to start VM ${vmId}:`, error);
       throw error;
@@ -208,38 +205,90 @@ class RealVMService {
           return { success: true, message: `VM ${vmId} restart initiated.` };
         }
       }
-      return { success: false, message: `VM ${vmId} not found.` };
+      throw new ProviderError(this.name, `VM ${vmId} not found on Cloudflare Workers`);
     } catch (error) {
       logger.error(`Failed to restart VM ${vmId}:`, error);
       throw error;
     }
   }
 
-  // Enhanced mock VM creation for fallback or initial display
-  async createMockVM(vmId, name, serverId, errorMessage = 'Cloudflare Workers service unavailable') {
-    logger.info(`Creating mock VM ${vmId} due to: ${errorMessage}`);
-    const mockVM = {
-      containerId: `mock-container-${vmId}`,
-      containerName: `mock-vm-${vmId}`,
-      novncPort: 6080,
-      agentPort: 3000,
-      novncUrl: `${this.vmHostingUrl}/vms/${vmId}/novnc`,
-      agentUrl: `${this.vmHostingUrl}/vms/${vmId}/agent`,
-      status: 'ready', // Mock VMs start as ready for testing
-      serverId: serverId || 'default-cloud-server',
-      serverName: 'Cloudflare Workers VM Hosting (Mock)',
-      publicIp: 'cloudflare-workers-ip',
-      region: 'cloudflare-global',
-      createdVia: 'cloudflare-workers-mock',
-      error: errorMessage,
-      vmId: vmId
-    };
-    this.runningVMs.set(vmId, mockVM);
-    return mockVM;
+  async deleteVM(vmId) {
+    try {
+      const vm = this.runningVMs.get(vmId);
+      if (vm && vm.vmId) {
+        // Delete VM on Cloudflare Workers; failures propagate so the caller
+        // decides whether to force the delete
+        const response = await axios.delete(`${this.vmHostingUrl}/vms/${vm.vmId}`, { timeout: 10000 });
+        if (response.status === 200) {
+          this.runningVMs.delete(vmId);
+          logger.info(`VM ${vmId} (Cloudflare Workers: ${vm.vmId}) deleted.`);
+          return { success: true, message: `VM ${vmId} deleted.` };
+        }
+        throw new ProviderError(this.name, `Cloudflare Workers could not delete VM: ${response.status} ${response.statusText}`);
+      }
+
+      // Never reached Cloudflare Workers; nothing to delete there
+      this.runningVMs.delete(vmId);
+      logger.info(`VM ${vmId} removed from registry.`);
+      return { success: true, message: `VM ${vmId} deleted.` };
+    } catch (error) {
+      logger.error(`Failed to delete VM ${vmId}:`, error);
+      throw error;
+    }
+  }
+
+  async executeScript(vmId, script, options = {}) {
+    try {
+      const vm = this.runningVMs.get(vmId);
+      const workersVmId = (vm && vm.vmId) || vmId;
+      const response = await axios.post(`${this.vmHostingUrl}/vms/${workersVmId}/scripts`, {
+        script,
+        ...options
+      }, { timeout: 300000 });
+      return response.data;
+    } catch (error) {
+      logger.error(`Failed to execute script on VM ${vmId}:`, error);
+      throw error;
+    }
+  }
+
+  // Metrics, events and logs are kept by the Workers VM hosting service
+  async monitoring(vmId, path, { method = 'get', data } = {}) {
+    const vm = this.runningVMs.get(vmId);
+    const workersVmId = (vm && vm.vmId) || vmId;
+    try {
+      const response = await axios({ method, url: `${this.vmHostingUrl}/vms/${workersVmId}/${path}`, data, timeout: 10000 });
+      return response.data;
+    } catch (error) {
+      throw new ProviderError(this.name, `Cloudflare Workers could not serve ${path} for VM ${vmId}: ${error.message}`);
+    }
+  }
+
+  async getMetrics(vmId) {
+    return this.monitoring(vmId, 'metrics');
+  }
+
+  async recordMetrics(vmId, metrics) {
+    return this.monitoring(vmId, 'metrics', { method: 'post', data: metrics });
+  }
+
+  async getEvents(vmId) {
+    return this.monitoring(vmId, 'events');
+  }
+
+  async getLogs(vmId) {
+    return this.monitoring(vmId, 'logs');
+  }
+
+  // Re-register a VM from the vms table after a restart
+  async restoreVM(vm) {
+    if (!this.runningVMs.has(vm.id)) {
+      this.runningVMs.set(vm.id, this.fromStoredVM(vm));
+    }
   }
 
   // Get all running VMs
-  async getAllVMs() {
+  async listVMs() {
     try {
       const response = await axios.get(`${this.vmHostingUrl}/vms`, { timeout: 5000 });
       if (response.status === 200) {
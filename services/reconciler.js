@@ -0,0 +1,240 @@
+const logger = require('../utils/logger');
+const providerRegistry = require('./providerRegistry');
+const vmLifecycle = require('./vmLifecycle');
+const { normalizeStatus } = require('./vmLifecycle');
+const vmStore = require('./vmStore');
+const { addressesFromProviderVM } = require('./vmStore');
+
+const RECONCILE_INTERVAL = parseInt(process.env.RECONCILE_INTERVAL_MS, 10) || 300000;
+
+// Delete provider VMs that have no row in the vms table instead of recording them
+const GC_ORPHANS = process.env.RECONCILE_GC_ORPHANS === 'true';
+
+const ACTOR = 'reconciler';
+
+// Rows whose status the reconciler leaves alone: a request is creating or
+// deleting them, or they already failed. Failed VMs that still run at the
+// provider are reported in `errored`, since they keep costing money.
+const SKIPPED_STATUSES = ['provisioning', 'deleting', 'error'];
+
+// A row whose VM no longer exists at the provider is moved to `error` with
+// metadata.ghost_since set
+const isGhost = (row) => Boolean(row.metadata && row.metadata.ghost_since);
+// A VM that exists at the provider but was never recorded in the vms table
+const isOrphan = (row) => Boolean(row.metadata && row.metadata.orphaned);
+
+// Brings the vms table and the providers' in-memory registries back in line
+// with what the providers actually run, at boot and every
+// RECONCILE_INTERVAL_MS:
+// - every provider gets its VMs back from the vms table (restoreVM)
+// - for providers that can list their real inventory, rows whose VM is gone
+//   become ghosts, VMs nobody recorded are added as orphans (or deleted when
+//   RECONCILE_GC_ORPHANS=true), and statuses are refreshed through the
+//   lifecycle so every change shows up in the VM's transitions
+// - VMs still running for a row already marked deleted (a forced delete
+//   after a provider failure) are leaked: reported, or deleted with
+//   RECONCILE_GC_ORPHANS=true
+class Reconciler {
+  constructor() {
+    this.timer = null;
+    this.running = null;
+    this.lastReport = null;
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.reconcile().catch(error => logger.error('Reconciliation failed:', error));
+    this.timer = setInterval(() => {
+      this.reconcile().catch(error => logger.error('Reconciliation failed:', error));
+    }, RECONCILE_INTERVAL);
+    logger.info(`Reconciler started (every ${RECONCILE_INTERVAL}ms, orphan GC ${GC_ORPHANS ? 'on' : 'off'})`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Concurrent callers share the run in progress
+  reconcile() {
+    if (!this.running) {
+      this.running = this.run().finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  async run() {
+    const report = { started_at: new Date().toISOString(), gc_orphans: GC_ORPHANS, providers: {} };
+
+    for (const name of providerRegistry.names()) {
+      try {
+        report.providers[name] = await this.reconcileProvider(providerRegistry.get(name));
+      } catch (error) {
+        logger.error(`Reconciliation of provider ${name} failed:`, error.message);
+        report.providers[name] = { error: error.message };
+      }
+    }
+
+    report.finished_at = new Date().toISOString();
+    this.lastReport = report;
+    return report;
+  }
+
+  // Without an inventory to compare against, VMs that are still booting are
+  // asked about one by one so they reach ready (or error) on their own
+  async refreshBooting(provider, rows) {
+    if (!provider.supports('status')) {
+      return 0;
+    }
+
+    let updated = 0;
+    for (const row of rows.filter(candidate => candidate.status === 'booting')) {
+      try {
+        const providerStatus = await provider.getVMStatus(row.id);
+        const vm = await vmLifecycle.observe(row.id, providerStatus && providerStatus.status, {
+          reason: `Reconciled with provider ${provider.name}`,
+          actor: ACTOR
+        });
+        await vmStore.update(row.id, addressesFromProviderVM(providerStatus || {}));
+        if (vm && vm.status !== row.status) {
+          updated++;
+        }
+      } catch (error) {
+        logger.warn(`Could not refresh booting VM ${row.id} on provider ${provider.name}:`, error.message);
+      }
+    }
+    return updated;
+  }
+
+  async reconcileProvider(provider) {
+    const rows = await vmStore.list({ provider: provider.name });
+    const result = { restored: 0, updated: 0, ghosts: [], orphans: [], leaked: [], errored: [], collected: [] };
+
+    for (const row of rows) {
+      if (!isGhost(row)) {
+        await provider.restoreVM(row);
+        result.restored++;
+      }
+    }
+
+    if (provider.inventory !== 'provider' || !provider.supports('list')) {
+      result.updated = await this.refreshBooting(provider, rows);
+      result.skipped = 'provider does not report its inventory';
+      return result;
+    }
+    // An unreachable provider would make every row look like a ghost
+    if (!(await provider.isAvailable())) {
+      result.skipped = 'provider unavailable';
+      return result;
+    }
+
+    const live = await provider.listVMs();
+    const liveById = new Map(live.filter(vm => vm.id).map(vm => [vm.id, vm]));
+
+    for (const row of rows) {
+      const liveVM = liveById.get(row.id);
+      liveById.delete(row.id);
+
+      if (!liveVM) {
+        if (!isGhost(row) && !SKIPPED_STATUSES.includes(row.status)) {
+          logger.warn(`VM ${row.id} is gone from provider ${provider.name}; marking it as a ghost`);
+          await vmLifecycle.transition(row.id, 'error', {
+            reason: 'VM no longer exists at provider',
+            actor: ACTOR,
+            force: true,
+            fields: {
+              metadata: { ...(row.metadata || {}), ghost_since: new Date().toISOString(), last_known_status: row.status }
+            }
+          });
+          result.ghosts.push(row.id);
+        }
+        continue;
+      }
+
+      if (isOrphan(row)) {
+        if (GC_ORPHANS && row.status !== 'deleting') {
+          await vmLifecycle.transition(row.id, 'deleting', { reason: 'Orphan garbage collection', actor: ACTOR, force: true });
+          await this.collect(provider, row.id);
+          await vmLifecycle.transition(row.id, 'deleted', { reason: 'Orphan garbage collection', actor: ACTOR });
+          result.collected.push(row.id);
+        }
+        continue;
+      }
+
+      // The VM came back after being marked a ghost
+      if (isGhost(row)) {
+        const { ghost_since: ghostSince, ...metadata } = row.metadata;
+        logger.info(`VM ${row.id} is back on provider ${provider.name} (gone since ${ghostSince})`);
+        await vmStore.update(row.id, { metadata });
+        await provider.restoreVM(row);
+      } else if (SKIPPED_STATUSES.includes(row.status)) {
+        if (row.status === 'error') {
+          logger.warn(`VM ${row.id} is in error but still ${liveVM.status} on provider ${provider.name}`);
+          result.errored.push({ id: row.id, provider_status: liveVM.status || null });
+        }
+        continue;
+      }
+
+      const before = row.status;
+      const vm = await vmLifecycle.observe(row.id, liveVM.status, { reason: `Reconciled with provider ${provider.name}`, actor: ACTOR });
+      if (liveVM.containerId && liveVM.containerId !== row.container_id) {
+        await vmStore.update(row.id, { container_id: liveVM.containerId });
+      }
+      if (liveVM.publicIp && liveVM.publicIp !== row.public_ip) {
+        await vmStore.update(row.id, addressesFromProviderVM(liveVM));
+      }
+      if (vm && vm.status !== before) {
+        result.updated++;
+      }
+    }
+
+    // Whatever is left runs at the provider without a live row
+    for (const liveVM of liveById.values()) {
+      const deleted = await vmStore.get(liveVM.id);
+      if (deleted) {
+        if (GC_ORPHANS) {
+          await this.collect(provider, liveVM.id);
+          result.collected.push(liveVM.id);
+        } else {
+          logger.warn(`VM ${liveVM.id} was deleted but still runs on provider ${provider.name}`);
+          result.leaked.push({ id: liveVM.id, provider_status: liveVM.status || null });
+        }
+        continue;
+      }
+
+      if (GC_ORPHANS) {
+        await this.collect(provider, liveVM.id);
+        result.collected.push(liveVM.id);
+        continue;
+      }
+
+      logger.warn(`Found orphan VM ${liveVM.id} on provider ${provider.name}`);
+      const status = normalizeStatus(liveVM.status) || 'ready';
+      await vmStore.create(liveVM.id, {
+        name: liveVM.name || `orphan-${liveVM.id}`,
+        provider: provider.name,
+        status,
+        container_id: liveVM.containerId,
+        metadata: { ...liveVM, orphaned: true, discovered_at: new Date().toISOString() }
+      });
+      await vmLifecycle.record(liveVM.id, null, status, { reason: `Orphan found on provider ${provider.name}`, actor: ACTOR });
+      result.orphans.push(liveVM.id);
+    }
+
+    return result;
+  }
+
+  async collect(provider, vmId) {
+    logger.warn(`Garbage-collecting orphan VM ${vmId} on provider ${provider.name}`);
+    await provider.deleteVM(vmId);
+  }
+}
+
+module.exports = new Reconciler();
@@ -0,0 +1,224 @@
+const { v4: uuidv4 } = require('uuid');
+const cronParser = require('cron-parser');
+const db = require('../database/init');
+const logger = require('../utils/logger');
+const { parseJSON } = require('../utils/json');
+const scriptRunner = require('./scriptRunner');
+
+const TICK_INTERVAL = parseInt(process.env.SCHEDULER_INTERVAL_MS, 10) || 30000;
+
+const fromRow = (row) => {
+  if (!row) {
+    return row;
+  }
+  return {
+    ...row,
+    enabled: row.enabled === 1,
+    vm_ids: parseJSON(row.vm_ids),
+    selector: parseJSON(row.selector),
+    params: parseJSON(row.params) || {}
+  };
+};
+
+// Cron-triggered runs of saved scripts. Schedules are stored in the
+// script_schedules table; every tick queues a batch for each schedule whose
+// next_run_at has passed. A schedule that came due while the server was down
+// runs once at the next tick, then resumes its normal cadence.
+class Scheduler {
+  constructor() {
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  nextRunAt(cron, timezone = 'UTC', from = new Date()) {
+    return cronParser.parseExpression(cron, { currentDate: from, tz: timezone }).next().toDate().toISOString();
+  }
+
+  async create({ scriptId, name, cron, timezone = 'UTC', vmIds, selector, params = {}, enabled = true, tenantId = null }) {
+    const id = uuidv4();
+    const now = new Date().toISOString();
+
+    await db.run(
+      `INSERT INTO script_schedules (id, script_id, name, cron, timezone, vm_ids, selector, params, enabled, next_run_at, tenant_id, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        id,
+        scriptId,
+        name || null,
+        cron,
+        timezone,
+        vmIds ? JSON.stringify(vmIds) : null,
+        selector ? JSON.stringify(selector) : null,
+        JSON.stringify(params),
+        enabled ? 1 : 0,
+        enabled ? this.nextRunAt(cron, timezone) : null,
+        tenantId,
+        now,
+        now
+      ]
+    );
+
+    logger.info(`Schedule ${id} created for script ${scriptId} (${cron})`);
+    return this.get(id);
+  }
+
+  async get(id) {
+    return fromRow(await db.get('SELECT * FROM script_schedules WHERE id = ?', [id]));
+  }
+
+  // tenantId limits the list to one tenant's schedules; omit it to list every tenant
+  async list({ scriptId, tenantId } = {}) {
+    let query = 'SELECT * FROM script_schedules';
+    const params = [];
+    const conditions = [];
+
+    if (scriptId) {
+      conditions.push('script_id = ?');
+      params.push(scriptId);
+    }
+    if (tenantId) {
+      conditions.push('tenant_id = ?');
+      params.push(tenantId);
+    }
+
+    if (conditions.length > 0) {
+      query += ' WHERE ' + conditions.join(' AND ');
+    }
+    query += ' ORDER BY created_at DESC';
+
+    const rows = await db.all(query, params);
+    return rows.map(fromRow);
+  }
+
+  async update(id, { name, cron, timezone, vmIds, selector, params, enabled }) {
+    const schedule = await this.get(id);
+    if (!schedule) {
+      return null;
+    }
+
+    const merged = {
+      name: name !== undefined ? name : schedule.name,
+      cron: cron || schedule.cron,
+      timezone: timezone || schedule.timezone,
+      params: params || schedule.params,
+      enabled: enabled !== undefined ? enabled : schedule.enabled,
+      vm_ids: schedule.vm_ids,
+      selector: schedule.selector
+    };
+    // A target is either a VM list or a selector, never both
+    if (vmIds) {
+      merged.vm_ids = vmIds;
+      merged.selector = null;
+    } else if (selector) {
+      merged.selector = selector;
+      merged.vm_ids = null;
+    }
+
+    await db.run(
+      `UPDATE script_schedules
+       SET name = ?, cron = ?, timezone = ?, vm_ids = ?, selector = ?, params = ?, enabled = ?, next_run_at = ?, updated_at = ?
+       WHERE id = ?`,
+      [
+        merged.name,
+        merged.cron,
+        merged.timezone,
+        merged.vm_ids ? JSON.stringify(merged.vm_ids) : null,
+        merged.selector ? JSON.stringify(merged.selector) : null,
+        JSON.stringify(merged.params),
+        merged.enabled ? 1 : 0,
+        merged.enabled ? this.nextRunAt(merged.cron, merged.timezone) : null,
+        new Date().toISOString(),
+        id
+      ]
+    );
+
+    return this.get(id);
+  }
+
+  async remove(id) {
+    const result = await db.run('DELETE FROM script_schedules WHERE id = ?', [id]);
+    return result.changes > 0;
+  }
+
+  // Called when a script is deleted, so its schedules stop firing against it
+  async removeForScript(scriptId) {
+    const result = await db.run('DELETE FROM script_schedules WHERE script_id = ?', [scriptId]);
+    if (result.changes > 0) {
+      logger.info(`Removed ${result.changes} schedule(s) of deleted script ${scriptId}`);
+    }
+    return result.changes;
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.tick();
+    this.timer = setInterval(() => this.tick(), TICK_INTERVAL);
+    logger.info(`Scheduler started (tick every ${TICK_INTERVAL}ms)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async tick() {
+    if (this.ticking) {
+      return;
+    }
+    this.ticking = true;
+
+    try {
+      const due = await db.all(
+        'SELECT * FROM script_schedules WHERE enabled = 1 AND next_run_at <= ? ORDER BY next_run_at',
+        [new Date().toISOString()]
+      );
+
+      for (const row of due) {
+        await this.fire(fromRow(row));
+      }
+    } catch (error) {
+      logger.error('Scheduler tick failed:', error);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  // Queue a run now. Scheduled runs also advance next_run_at; manual runs
+  // leave the cadence untouched. A schedule only reaches its own tenant's VMs.
+  async fire(schedule, { manual = false } = {}) {
+    const now = new Date();
+    let batch = null;
+    let lastError = null;
+
+    try {
+      batch = await scriptRunner.run(schedule.script_id, {
+        vmIds: schedule.vm_ids || undefined,
+        selector: schedule.selector || undefined,
+        params: schedule.params,
+        tenantId: schedule.tenant_id,
+        tenantFilter: schedule.tenant_id,
+        createdBy: `schedule:${schedule.id}`
+      });
+      logger.info(`Schedule ${schedule.id} queued batch ${batch.id}`);
+    } catch (error) {
+      lastError = error.message;
+      logger.error(`Schedule ${schedule.id} failed to run:`, error.message);
+    }
+
+    const nextRunAt = manual ? schedule.next_run_at : this.nextRunAt(schedule.cron, schedule.timezone, now);
+
+    await db.run(
+      'UPDATE script_schedules SET last_run_at = ?, last_batch_id = ?, last_status = ?, last_error = ?, next_run_at = ? WHERE id = ?',
+      [now.toISOString(), batch ? batch.id : null, batch ? 'queued' : 'failed', lastError, nextRunAt, schedule.id]
+    );
+
+    return { schedule: await this.get(schedule.id), batch, error: lastError };
+  }
+}
+
+module.exports = new Scheduler();
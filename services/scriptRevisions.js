@@ -0,0 +1,93 @@
+const { v4: uuidv4 } = require('uuid');
+const { createTwoFilesPatch } = require('diff');
+const db = require('../database/init');
+const { parseJSON } = require('../utils/json');
+
+// Script fields captured in every revision
+const REVISION_FIELDS = ['name', 'description', 'script', 'category', 'params_schema'];
+
+const fromRow = (row) => row && { ...row, params_schema: parseJSON(row.params_schema) || {} };
+
+// Immutable history of saved scripts. Every create, update and rollback
+// appends a revision; scripts.current_revision points at the latest one.
+class ScriptRevisions {
+  async record(scriptRow, { createdBy = 'system', message = null } = {}) {
+    const latest = await db.get(
+      'SELECT MAX(revision) as revision FROM script_revisions WHERE script_id = ?',
+      [scriptRow.id]
+    );
+    const revision = ((latest && latest.revision) || 0) + 1;
+
+    await db.run(
+      `INSERT INTO script_revisions (id, script_id, revision, name, description, script, category, params_schema, message, created_by, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        uuidv4(),
+        scriptRow.id,
+        revision,
+        scriptRow.name,
+        scriptRow.description,
+        scriptRow.script,
+        scriptRow.category,
+        scriptRow.params_schema,
+        message,
+        createdBy,
+        new Date().toISOString()
+      ]
+    );
+    await db.run('UPDATE scripts SET current_revision = ? WHERE id = ?', [revision, scriptRow.id]);
+
+    return revision;
+  }
+
+  // Scripts created before revisions existed (including the seeded ones) get
+  // their current content recorded as revision 1 the first time it is needed
+  async ensureInitial(scriptRow) {
+    if (scriptRow.current_revision) {
+      return scriptRow.current_revision;
+    }
+    return this.record(scriptRow, { createdBy: scriptRow.created_by || 'system', message: 'Initial revision' });
+  }
+
+  async list(scriptId) {
+    const rows = await db.all(
+      'SELECT * FROM script_revisions WHERE script_id = ? ORDER BY revision DESC',
+      [scriptId]
+    );
+    return rows.map(fromRow);
+  }
+
+  async get(scriptId, revision) {
+    return fromRow(await db.get(
+      'SELECT * FROM script_revisions WHERE script_id = ? AND revision = ?',
+      [scriptId, revision]
+    ));
+  }
+
+  diff(from, to) {
+    const changedFields = REVISION_FIELDS.filter(field =>
+      JSON.stringify(from[field]) !== JSON.stringify(to[field])
+    );
+
+    return {
+      script_id: from.script_id,
+      from: from.revision,
+      to: to.revision,
+      changed_fields: changedFields,
+      fields: changedFields
+        .filter(field => field !== 'script')
+        .reduce((changes, field) => {
+          changes[field] = { from: from[field], to: to[field] };
+          return changes;
+        }, {}),
+      patch: createTwoFilesPatch(
+        `revision-${from.revision}`,
+        `revision-${to.revision}`,
+        from.script || '',
+        to.script || ''
+      )
+    };
+  }
+}
+
+module.exports = new ScriptRevisions();
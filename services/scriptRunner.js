@@ -0,0 +1,77 @@
+const db = require('../database/init');
+const { parseJSON } = require('../utils/json');
+const { ApiError, NotFoundError } = require('../utils/errors');
+const { buildParamsSchema, injectParams } = require('../utils/scriptParams');
+const jobQueue = require('./jobQueue');
+const quotas = require('./quotas');
+const scriptRevisions = require('./scriptRevisions');
+const vmStore = require('./vmStore');
+
+// Runs saved scripts: validates params against the script's params_schema,
+// resolves the target VMs and queues one job per VM as a batch. Used by
+// POST /api/scripts/:id/run and by the scheduler.
+class ScriptRunner {
+  // tenantFilter hides other tenants' VMs (they count as unknown); null means
+  // every tenant's VMs may be targeted. Deleted VMs count as unknown too.
+  async resolveVMs({ vmIds, selector, tenantFilter = null }) {
+    if (vmIds) {
+      const vms = await Promise.all(vmIds.map(vmId => vmStore.get(vmId)));
+      const missing = vmIds.filter((vmId, index) =>
+        !vms[index] ||
+        vms[index].status === 'deleted' ||
+        (tenantFilter && vms[index].tenant_id !== tenantFilter)
+      );
+      if (missing.length > 0) {
+        throw new ApiError(400, 'Unknown VM ids', { missing });
+      }
+      return vms;
+    }
+
+    const vms = await vmStore.list({ labels: selector, tenantId: tenantFilter });
+    if (vms.length === 0) {
+      throw new ApiError(400, 'No VMs match the selector');
+    }
+    return vms;
+  }
+
+  // Shared scripts (no tenant) are visible to everyone
+  async loadScript(scriptId, tenantFilter = null) {
+    const savedScript = await db.get('SELECT * FROM scripts WHERE id = ?', [scriptId]);
+    if (!savedScript || (tenantFilter && savedScript.tenant_id && savedScript.tenant_id !== tenantFilter)) {
+      throw new NotFoundError('Script not found');
+    }
+    return savedScript;
+  }
+
+  // Resolves to the params with defaults applied, or throws a 400
+  validateParams(savedScript, params = {}) {
+    const { error, value } = buildParamsSchema(parseJSON(savedScript.params_schema)).validate(params);
+    if (error) {
+      throw new ApiError(400, error.details[0].message);
+    }
+    return value;
+  }
+
+  // tenantId owns the resulting batch and jobs; tenantFilter limits which
+  // scripts and VMs are visible (see resolveVMs)
+  async run(scriptId, { vmIds, selector, params = {}, options = {}, tenantId = null, tenantFilter = null, createdBy = null }) {
+    const savedScript = await this.loadScript(scriptId, tenantFilter);
+    const value = this.validateParams(savedScript, params);
+
+    const vms = await this.resolveVMs({ vmIds, selector, tenantFilter });
+    const revision = await scriptRevisions.ensureInitial(savedScript);
+
+    return quotas.admitJobs(tenantId, vms.length, () => jobQueue.enqueueBatch({
+      scriptId: savedScript.id,
+      scriptRevision: revision,
+      script: injectParams(savedScript.script, value, parseJSON(savedScript.params_schema)),
+      vmIds: vms.map(vm => vm.id),
+      selector,
+      options: { ...options, params: value },
+      tenantId,
+      createdBy
+    }));
+  }
+}
+
+module.exports = new ScriptRunner();
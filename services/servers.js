@@ -0,0 +1,225 @@
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../database/init');
+const logger = require('../utils/logger');
+const { parseJSON } = require('../utils/json');
+
+const HEALTH_INTERVAL = parseInt(process.env.SERVER_HEALTH_INTERVAL_MS, 10) || 30000;
+const HEALTH_TIMEOUT = parseInt(process.env.SERVER_HEALTH_TIMEOUT_MS, 10) || 5000;
+
+// Predefined VM providers
+const PREDEFINED_SERVERS = [
+  {
+    id: 'default-cloudflare-server',
+    name: 'Cloudflare Workers (Mock VMs)',
+    host: 'chrome-vm-workers.mgmt-5e1.workers.dev',
+    port: 443,
+    novnc_port: 6080,
+    max_vms: 10,
+    location: 'Global Edge',
+    status: 'active',
+    health: 'healthy',
+    created_at: new Date().toISOString(),
+    last_check: new Date().toISOString(),
+    capabilities: ['mock-vms', 'fast-deployment', 'serverless', 'edge-computing']
+  },
+  {
+    id: 'default-google-cloud-server',
+    name: 'Google Cloud Platform (Real VMs)',
+    host: 'compute.googleapis.com',
+    port: 443,
+    novnc_port: 6080,
+    max_vms: 5,
+    location: 'Global',
+    status: 'active',
+    health: 'healthy',
+    created_at: new Date().toISOString(),
+    last_check: new Date().toISOString(),
+    capabilities: ['real-vms', 'docker', 'chrome-automation', 'persistent-storage']
+  }
+];
+
+const PREDEFINED_IDS = PREDEFINED_SERVERS.map(server => server.id);
+
+const fromRow = (row) => row && { ...row, capabilities: parseJSON(row.capabilities) || [], predefined: false };
+
+// Servers VMs can be placed on: agent servers registered in the servers
+// table plus the predefined provider entries. Registered servers are polled
+// for health every SERVER_HEALTH_INTERVAL_MS. Their status is `active`,
+// `cordoned`, `draining` or `drained`; only `active` servers take new VMs,
+// and `draining` becomes `drained` once the server's last VM is gone.
+class Servers {
+  constructor() {
+    this.timer = null;
+    this.polling = false;
+  }
+
+  isPredefined(id) {
+    return PREDEFINED_IDS.includes(id);
+  }
+
+  async get(id) {
+    const row = await db.get('SELECT * FROM servers WHERE id = ?', [id]);
+    if (row) {
+      return fromRow(row);
+    }
+    const predefined = PREDEFINED_SERVERS.find(server => server.id === id);
+    return predefined ? { ...predefined, predefined: true } : null;
+  }
+
+  async list() {
+    const rows = (await this.listRegistered()).filter(row => !this.isPredefined(row.id));
+    return [...rows, ...PREDEFINED_SERVERS.map(server => ({ ...server, predefined: true }))];
+  }
+
+  // Registered servers only, optionally filtered by status and health
+  async listRegistered({ status, health } = {}) {
+    let query = 'SELECT * FROM servers';
+    const params = [];
+    const conditions = [];
+
+    if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+    if (health) {
+      conditions.push('health = ?');
+      params.push(health);
+    }
+
+    if (conditions.length > 0) {
+      query += ' WHERE ' + conditions.join(' AND ');
+    }
+    query += ' ORDER BY created_at';
+
+    const rows = await db.all(query, params);
+    return rows.map(fromRow);
+  }
+
+  async create({ id, name, host, port, novnc_port: novncPort, protocol, max_vms: maxVMs, location, capabilities = [] }) {
+    const serverId = id || uuidv4();
+    const now = new Date().toISOString();
+
+    await db.run(
+      `INSERT INTO servers (id, name, host, port, novnc_port, protocol, max_vms, location, capabilities, status, health, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [serverId, name, host, port, novncPort, protocol, maxVMs, location, JSON.stringify(capabilities), 'active', 'unknown', now, now]
+    );
+
+    logger.info(`Server ${serverId} registered at ${protocol}://${host}:${port}`);
+    const server = await this.get(serverId);
+    // Check right away so the server is usable without waiting for the poller
+    return this.check(server);
+  }
+
+  async update(id, fields) {
+    const columns = ['name', 'host', 'port', 'novnc_port', 'protocol', 'max_vms', 'location', 'capabilities']
+      .filter(column => fields[column] !== undefined);
+    if (columns.length === 0) {
+      return this.get(id);
+    }
+
+    await db.run(
+      `UPDATE servers SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = ? WHERE id = ?`,
+      [
+        ...columns.map(column => (column === 'capabilities' ? JSON.stringify(fields[column]) : fields[column])),
+        new Date().toISOString(),
+        id
+      ]
+    );
+    return this.get(id);
+  }
+
+  async remove(id) {
+    const result = await db.run('DELETE FROM servers WHERE id = ?', [id]);
+    return result.changes > 0;
+  }
+
+  async setStatus(id, status) {
+    await db.run('UPDATE servers SET status = ?, updated_at = ? WHERE id = ?', [status, new Date().toISOString(), id]);
+    logger.info(`Server ${id} is now ${status}`);
+    return this.get(id);
+  }
+
+  // VMs still placed on the server (failed and deleted ones do not count)
+  async activeVMs(id) {
+    // Required here: quotas depends on this module
+    const { INACTIVE_VM_STATUSES } = require('./quotas');
+    const placeholders = INACTIVE_VM_STATUSES.map(() => '?').join(', ');
+    return db.all(
+      `SELECT id, name, status FROM vms WHERE server_id = ? AND status NOT IN (${placeholders}) ORDER BY created_at`,
+      [id, ...INACTIVE_VM_STATUSES]
+    );
+  }
+
+  url(server) {
+    return `${server.protocol || 'https'}://${server.host}:${server.port}`;
+  }
+
+  // Ask the agent's /health endpoint and record the answer
+  async check(server) {
+    let health = 'healthy';
+    let healthError = null;
+
+    try {
+      const response = await axios.get(`${this.url(server)}/health`, { timeout: HEALTH_TIMEOUT });
+      if (response.data && response.data.status && response.data.status !== 'healthy') {
+        health = 'unhealthy';
+        healthError = `Agent reported status ${response.data.status}`;
+      }
+    } catch (error) {
+      health = 'unhealthy';
+      healthError = error.message;
+    }
+
+    if (health !== server.health) {
+      logger.info(`Server ${server.id} is ${health}${healthError ? ` (${healthError})` : ''}`);
+    }
+    await db.run(
+      'UPDATE servers SET health = ?, health_error = ?, last_check = ? WHERE id = ?',
+      [health, healthError, new Date().toISOString(), server.id]
+    );
+    return this.get(server.id);
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.poll();
+    this.timer = setInterval(() => this.poll(), HEALTH_INTERVAL);
+    logger.info(`Server health poller started (every ${HEALTH_INTERVAL}ms)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async poll() {
+    if (this.polling) {
+      return;
+    }
+    this.polling = true;
+
+    try {
+      for (const server of await this.listRegistered()) {
+        await this.check(server);
+
+        if (server.status === 'draining' && (await this.activeVMs(server.id)).length === 0) {
+          await this.setStatus(server.id, 'drained');
+        }
+      }
+    } catch (error) {
+      logger.error('Server health poll failed:', error);
+    } finally {
+      this.polling = false;
+    }
+  }
+}
+
+module.exports = new Servers();
+module.exports.PREDEFINED_SERVERS = PREDEFINED_SERVERS;
@@ -0,0 +1,31 @@
+const db = require('../database/init');
+const logger = require('../utils/logger');
+
+// Seeded by database/init.js; owns rows created before tenants existed, the
+// bootstrap admin key, and everything created while auth is disabled
+const DEFAULT_TENANT = 'default';
+
+// Teams sharing one deployment. VMs, scripts, jobs, batches and schedules
+// carry a tenant_id; API keys belong to a tenant and only see its rows
+// (admin keys see every tenant).
+class Tenants {
+  async create({ id, name }) {
+    await db.run(
+      'INSERT INTO tenants (id, name, created_at) VALUES (?, ?, ?)',
+      [id, name, new Date().toISOString()]
+    );
+    logger.info(`Tenant ${id} created`);
+    return this.get(id);
+  }
+
+  async get(id) {
+    return db.get('SELECT * FROM tenants WHERE id = ?', [id]);
+  }
+
+  async list() {
+    return db.all('SELECT * FROM tenants ORDER BY created_at');
+  }
+}
+
+module.exports = new Tenants();
+module.exports.DEFAULT_TENANT = DEFAULT_TENANT;
@@ -0,0 +1,171 @@
+const { v4: uuidv4 } = require('uuid');
+const db = require('../database/init');
+const logger = require('../utils/logger');
+const providerRegistry = require('./providerRegistry');
+
+// States in which a VM holds provider resources and accrues cost
+const BILLABLE_STATUSES = ['booting', 'ready', 'busy', 'stopping'];
+
+const PERIODS = ['day', 'week', 'month'];
+const GROUPS = {
+  tenant: ['tenant_id'],
+  server: ['server_id', 'provider'],
+  vm: ['vm_id', 'tenant_id', 'provider', 'instance_type']
+};
+
+const HOUR = 60 * 60 * 1000;
+
+// Start of the UTC day, ISO week (Monday) or month containing `date`
+const periodStart = (date, period) => {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (period === 'week') {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  } else if (period === 'month') {
+    start.setUTCDate(1);
+  }
+  return start;
+};
+
+const nextPeriod = (start, period) => {
+  const next = new Date(start);
+  if (period === 'day') {
+    next.setUTCDate(next.getUTCDate() + 1);
+  } else if (period === 'week') {
+    next.setUTCDate(next.getUTCDate() + 7);
+  } else {
+    next.setUTCMonth(next.getUTCMonth() + 1);
+  }
+  return next;
+};
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+// Runtime accounting. Every lifecycle transition closes the VM's open
+// interval in vm_usage and, when the new state is billable, opens another
+// with the VM's tenant, server and hourly rate at that moment. Rates come
+// from the provider's instance type catalog; VMs without a listed price
+// accrue hours at no cost. Reports split intervals into UTC day, week or
+// month buckets.
+class Usage {
+  hourlyRate(providerName, instanceType) {
+    if (!instanceType || !providerRegistry.names().includes(providerName)) {
+      return null;
+    }
+    const type = providerRegistry.get(providerName).getInstanceType(instanceType);
+    return type ? type.hourly_price : null;
+  }
+
+  // Called by the lifecycle for every recorded transition
+  async onTransition(vmId, to, at = new Date().toISOString()) {
+    await db.run('UPDATE vm_usage SET ended_at = ? WHERE vm_id = ? AND ended_at IS NULL', [at, vmId]);
+    if (BILLABLE_STATUSES.includes(to)) {
+      await this.open(vmId, at);
+    }
+  }
+
+  async open(vmId, at) {
+    const vm = await db.get('SELECT * FROM vms WHERE id = ?', [vmId]);
+    if (!vm) {
+      return;
+    }
+
+    await db.run(
+      `INSERT INTO vm_usage (id, vm_id, tenant_id, server_id, provider, instance_type, hourly_rate, started_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [uuidv4(), vm.id, vm.tenant_id, vm.server_id, vm.provider, vm.instance_type, this.hourlyRate(vm.provider, vm.instance_type), at]
+    );
+  }
+
+  // VMs that were already running before usage was recorded start
+  // accruing now
+  async backfill() {
+    const placeholders = BILLABLE_STATUSES.map(() => '?').join(', ');
+    const rows = await db.all(
+      `SELECT id FROM vms
+       WHERE status IN (${placeholders})
+         AND id NOT IN (SELECT vm_id FROM vm_usage WHERE ended_at IS NULL)`,
+      BILLABLE_STATUSES
+    );
+    const now = new Date().toISOString();
+    for (const { id } of rows) {
+      await this.open(id, now);
+    }
+    if (rows.length > 0) {
+      logger.info(`Usage accounting started for ${rows.length} running VM(s)`);
+    }
+  }
+
+  // Hours and cost per period and group between from and to; tenantId
+  // limits the report to one tenant
+  async report({ period = 'day', groupBy = 'tenant', from, to = new Date(), tenantId = null }) {
+    let query = 'SELECT * FROM vm_usage WHERE started_at < ? AND (ended_at IS NULL OR ended_at > ?)';
+    const params = [to.toISOString(), from.toISOString()];
+    if (tenantId) {
+      query += ' AND tenant_id = ?';
+      params.push(tenantId);
+    }
+    const intervals = await db.all(query, params);
+
+    const keys = GROUPS[groupBy];
+    const rows = new Map();
+    const now = new Date();
+
+    for (const interval of intervals) {
+      const start = new Date(Math.max(new Date(interval.started_at), from));
+      const end = new Date(Math.min(interval.ended_at ? new Date(interval.ended_at) : now, to));
+
+      // Split the interval at every period boundary it crosses
+      for (let bucket = periodStart(start, period); bucket < end; bucket = nextPeriod(bucket, period)) {
+        const sliceStart = Math.max(bucket, start);
+        const sliceEnd = Math.min(nextPeriod(bucket, period), end);
+        if (sliceEnd <= sliceStart) {
+          continue;
+        }
+
+        const id = [bucket.toISOString(), ...keys.map(key => interval[key])].join('|');
+        if (!rows.has(id)) {
+          rows.set(id, {
+            period_start: bucket.toISOString(),
+            ...Object.fromEntries(keys.map(key => [key, interval[key]])),
+            hours: 0,
+            cost: 0
+          });
+        }
+        const row = rows.get(id);
+        const hours = (sliceEnd - sliceStart) / HOUR;
+        row.hours += hours;
+        row.cost += hours * (interval.hourly_rate || 0);
+      }
+    }
+
+    const sorted = [...rows.values()]
+      .map(row => ({ ...row, hours: round(row.hours), cost: round(row.cost) }))
+      .sort((a, b) => a.period_start.localeCompare(b.period_start) || String(a[keys[0]]).localeCompare(String(b[keys[0]])));
+
+    return {
+      period,
+      group_by: groupBy,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      currency: 'USD',
+      totals: {
+        hours: round(sorted.reduce((sum, row) => sum + row.hours, 0)),
+        cost: round(sorted.reduce((sum, row) => sum + row.cost, 0))
+      },
+      rows: sorted
+    };
+  }
+
+  toCSV(report) {
+    const columns = ['period_start', ...GROUPS[report.group_by], 'hours', 'cost'];
+    const escape = (value) => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [columns.join(','), ...report.rows.map(row => columns.map(column => escape(row[column])).join(','))].join('\n') + '\n';
+  }
+}
+
+module.exports = new Usage();
+module.exports.PERIODS = PERIODS;
+module.exports.GROUPS = GROUPS;
@@ -0,0 +1,152 @@
+const { v4: uuidv4 } = require('uuid');
+const db = require('../database/init');
+const logger = require('../utils/logger');
+const { ApiError, NotFoundError, InvalidTransitionError } = require('../utils/errors');
+const vmStore = require('./vmStore');
+const usage = require('./usage');
+
+// The VM state machine. Every status change goes through transition(), which
+// rejects moves not listed here with a 409 and records each change in
+// vm_transitions.
+const TRANSITIONS = {
+  provisioning: ['booting', 'ready', 'error', 'deleting'],
+  booting: ['ready', 'stopping', 'error', 'deleting'],
+  ready: ['busy', 'booting', 'stopping', 'error', 'deleting'],
+  busy: ['ready', 'stopping', 'error', 'deleting'],
+  stopping: ['stopped', 'error'],
+  stopped: ['booting', 'error', 'deleting'],
+  deleting: ['deleted', 'error'],
+  deleted: [],
+  error: ['booting', 'ready', 'stopping', 'stopped', 'deleting']
+};
+
+const STATES = Object.keys(TRANSITIONS);
+
+// States a request is in the middle of; observations from the provider must
+// not overwrite them
+const IN_FLIGHT_STATES = ['provisioning', 'deleting'];
+
+// Provider status strings -> states. Anything else (not_found, unknown) is
+// not a state and is ignored.
+const PROVIDER_STATUSES = {
+  provisioning: 'provisioning',
+  creating: 'provisioning',
+  pending: 'provisioning',
+  initializing: 'booting',
+  starting: 'booting',
+  booting: 'booting',
+  restarting: 'booting',
+  staging: 'booting',
+  repairing: 'booting',
+  ready: 'ready',
+  running: 'ready',
+  active: 'ready',
+  healthy: 'ready',
+  mock: 'ready',
+  busy: 'busy',
+  stopping: 'stopping',
+  suspending: 'stopping',
+  stopped: 'stopped',
+  suspended: 'stopped',
+  exited: 'stopped',
+  terminated: 'stopped',
+  deleted: 'deleted',
+  error: 'error',
+  failed: 'error'
+};
+
+const normalizeStatus = (status) => (status ? PROVIDER_STATUSES[String(status).toLowerCase()] || null : null);
+
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+class VMLifecycle {
+  // Throw the 409 a transition would raise, without changing anything
+  assertCanTransition(vm, to) {
+    if (vm.status !== to && !canTransition(vm.status, to)) {
+      throw new InvalidTransitionError(vm.status, to, TRANSITIONS[vm.status] || []);
+    }
+  }
+
+  // Also closes and reopens the VM's runtime interval (see usage.js)
+  async record(vmId, from, to, { reason = null, actor = 'system', forced = false } = {}) {
+    const now = new Date().toISOString();
+    await db.run(
+      `INSERT INTO vm_transitions (id, vm_id, from_status, to_status, reason, actor, forced, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [uuidv4(), vmId, from, to, reason, actor, forced ? 1 : 0, now]
+    );
+    await usage.onTransition(vmId, to, now);
+  }
+
+  // Move a VM to a new state. force skips the transition table; it is only
+  // for recording what a provider reports, never for user requests.
+  async transition(vmId, to, { reason = null, actor = 'system', force = false, fields = {} } = {}) {
+    if (!STATES.includes(to)) {
+      throw new Error(`Unknown VM state: ${to}`);
+    }
+
+    const vm = await vmStore.get(vmId);
+    if (!vm) {
+      throw new NotFoundError('VM not found');
+    }
+    if (vm.status === to) {
+      return Object.keys(fields).length > 0 ? vmStore.update(vmId, fields) : vm;
+    }
+    if (!force) {
+      this.assertCanTransition(vm, to);
+    }
+
+    // Only move from the state we validated against
+    const result = await db.run(
+      'UPDATE vms SET status = ?, updated_at = ? WHERE id = ? AND status = ?',
+      [to, new Date().toISOString(), vmId, vm.status]
+    );
+    if (result.changes === 0) {
+      throw new ApiError(409, 'VM status changed while updating; retry the request');
+    }
+
+    // Fields first, so the transition's usage interval sees them
+    if (Object.keys(fields).length > 0) {
+      await vmStore.update(vmId, fields);
+    }
+    await this.record(vmId, vm.status, to, { reason, actor, forced: force });
+    logger.info(`VM ${vmId}: ${vm.status} -> ${to}${reason ? ` (${reason})` : ''}`);
+
+    return vmStore.get(vmId);
+  }
+
+  // Apply a status reported by a provider. Unknown statuses and VMs that a
+  // request is still creating or deleting are left alone.
+  async observe(vmId, providerStatus, { reason = 'Reported by provider', actor = 'system' } = {}) {
+    const to = normalizeStatus(providerStatus);
+    const vm = await vmStore.get(vmId);
+    if (!to || !vm || vm.status === to || IN_FLIGHT_STATES.includes(vm.status) || vm.status === 'deleted') {
+      return vm;
+    }
+    return this.transition(vmId, to, { reason, actor, force: !canTransition(vm.status, to) });
+  }
+
+  // Put a VM back in the state it had before an operation that failed
+  // without changing anything at the provider; stopping -> ready and
+  // booting -> stopped are not in the table, so those are recorded as forced
+  async revert(vmId, to, { reason = null, actor = 'system' } = {}) {
+    const vm = await vmStore.get(vmId);
+    if (!vm || vm.status === to) {
+      return vm;
+    }
+    return this.transition(vmId, to, { reason, actor, force: !canTransition(vm.status, to) });
+  }
+
+  async history(vmId) {
+    const rows = await db.all(
+      'SELECT * FROM vm_transitions WHERE vm_id = ? ORDER BY created_at, rowid',
+      [vmId]
+    );
+    return rows.map(row => ({ ...row, forced: row.forced === 1 }));
+  }
+}
+
+module.exports = new VMLifecycle();
+module.exports.STATES = STATES;
+module.exports.TRANSITIONS = TRANSITIONS;
+module.exports.normalizeStatus = normalizeStatus;
@@ -0,0 +1,179 @@
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const { ApiError, UnsupportedOperationError } = require('../utils/errors');
+
+// Operations every provider is expected to answer for. A provider that does
+// not override one of these methods reports it as unsupported in its
+// capabilities and throws UnsupportedOperationError when it is called.
+const OPERATIONS = {
+  create: 'createVM',
+  start: 'startVM',
+  stop: 'stopVM',
+  restart: 'restartVM',
+  delete: 'deleteVM',
+  status: 'getVMStatus',
+  list: 'listVMs',
+  executeScript: 'executeScript',
+  metrics: 'getMetrics',
+  recordMetrics: 'recordMetrics',
+  events: 'getEvents',
+  logs: 'getLogs'
+};
+
+class VMProvider {
+  // inventory: 'provider' when listVMs asks the provider what really exists,
+  // 'memory' when it only echoes what this process has created. Only
+  // 'provider' inventories are used to detect orphans and ghosts.
+  // instanceTypes: the sizes the provider offers, as
+  // { type, name, vcpus, shared_core, memory_mb, storage_gb, hourly_price, default };
+  // providers without a catalog take no instanceType.
+  constructor(name, { displayName, features = [], inventory = 'memory', instanceTypes = [] } = {}) {
+    this.name = name;
+    this.displayName = displayName || name;
+    this.features = features;
+    this.inventory = inventory;
+    this.instanceTypes = instanceTypes;
+  }
+
+  async isAvailable() {
+    return true;
+  }
+
+  // createVM(vmId, { name, serverId, instanceType, placement }) resolves to the
+  // VM details (containerId, novncUrl, agentUrl, status, ...) as reported by
+  // the provider. placement holds { strategy, location, capabilities } for
+  // providers that choose between servers.
+  async createVM(vmId, options = {}) {
+    throw new UnsupportedOperationError(this.name, 'create');
+  }
+
+  // Providers that choose between servers resolve to { server, decision } for
+  // the server a new VM would go on; the VM row is recorded on that server
+  // before createVM runs, so concurrent placements count it. createVM then
+  // receives the result as `placed`. Other providers resolve to null.
+  async place(options = {}) {
+    return null;
+  }
+
+  async startVM(vmId) {
+    throw new UnsupportedOperationError(this.name, 'start');
+  }
+
+  async stopVM(vmId) {
+    throw new UnsupportedOperationError(this.name, 'stop');
+  }
+
+  async restartVM(vmId) {
+    throw new UnsupportedOperationError(this.name, 'restart');
+  }
+
+  async deleteVM(vmId) {
+    throw new UnsupportedOperationError(this.name, 'delete');
+  }
+
+  async getVMStatus(vmId) {
+    throw new UnsupportedOperationError(this.name, 'status');
+  }
+
+  async listVMs() {
+    throw new UnsupportedOperationError(this.name, 'list');
+  }
+
+  // executeScript(vmId, script, { screenshot, selectedText, ... })
+  async executeScript(vmId, script, options = {}) {
+    throw new UnsupportedOperationError(this.name, 'executeScript');
+  }
+
+  // Monitoring data, for providers that keep any; each resolves to the
+  // provider's own JSON
+  async getMetrics(vmId) {
+    throw new UnsupportedOperationError(this.name, 'metrics');
+  }
+
+  async recordMetrics(vmId, metrics) {
+    throw new UnsupportedOperationError(this.name, 'recordMetrics');
+  }
+
+  async getEvents(vmId) {
+    throw new UnsupportedOperationError(this.name, 'events');
+  }
+
+  async getLogs(vmId) {
+    throw new UnsupportedOperationError(this.name, 'logs');
+  }
+
+  // Called by the reconciler for every VM the vms table holds for this
+  // provider, so in-memory registries survive restarts. No-op by default.
+  async restoreVM(vm) {}
+
+  // Rebuild a provider-shaped VM from a vms row; metadata holds what
+  // createVM originally returned
+  fromStoredVM(vm) {
+    return {
+      ...(vm.metadata || {}),
+      status: vm.status,
+      agentUrl: vm.agent_url,
+      novncUrl: vm.novnc_url,
+      containerId: vm.container_id,
+      serverId: vm.server_id,
+      lastActivity: vm.last_activity
+    };
+  }
+
+  getInstanceType(type) {
+    return this.instanceTypes.find(instanceType => instanceType.type === type) || null;
+  }
+
+  // The requested instance type, or the catalog's default when none was
+  // requested. Types the catalog does not list are rejected with a 400.
+  resolveInstanceType(type) {
+    if (!type) {
+      const fallback = this.instanceTypes.find(instanceType => instanceType.default);
+      return fallback ? fallback.type : null;
+    }
+    if (!this.getInstanceType(type)) {
+      const available = this.instanceTypes.map(instanceType => instanceType.type);
+      throw new ApiError(400, available.length > 0
+        ? `Unknown instance type ${type} for provider ${this.name}`
+        : `Provider ${this.name} does not offer instance types`, { available });
+    }
+    return type;
+  }
+
+  getCapabilities() {
+    const operations = {};
+    Object.entries(OPERATIONS).forEach(([operation, method]) => {
+      operations[operation] = this[method] !== VMProvider.prototype[method];
+    });
+
+    return {
+      provider: this.name,
+      name: this.displayName,
+      operations,
+      features: this.features,
+      inventory: this.inventory,
+      instanceTypes: this.instanceTypes.map(instanceType => instanceType.type)
+    };
+  }
+
+  supports(operation) {
+    return this.getCapabilities().operations[operation] === true;
+  }
+
+  // Shared helper for providers whose VMs run the chrome-vm agent
+  async runOnAgent(agentUrl, script, options = {}) {
+    const { jobId, timeout, ...payload } = options;
+    const response = await axios.post(`${agentUrl}/run`, {
+      job_id: jobId || uuidv4(),
+      script,
+      ...payload
+    }, {
+      timeout: timeout || 300000 // 5 minutes
+    });
+
+    return response.data;
+  }
+}
+
+module.exports = VMProvider;
+module.exports.OPERATIONS = OPERATIONS;
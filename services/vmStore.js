@@ -0,0 +1,151 @@
+const db = require('../database/init');
+const { parseJSON } = require('../utils/json');
+
+// Columns callers may set through create()/update()
+const COLUMNS = [
+  'name',
+  'server_id',
+  'status',
+  'novnc_url',
+  'agent_url',
+  'public_ip',
+  'chrome_version',
+  'node_version',
+  'last_activity',
+  'metadata',
+  'provider',
+  'instance_type',
+  'container_id',
+  'labels',
+  'tenant_id',
+  'created_by',
+  'warm_pool',
+  'idle_stop_minutes',
+  'expires_at'
+];
+
+// Columns stored as JSON text
+const JSON_COLUMNS = ['metadata', 'labels'];
+
+const toRow = (fields) => {
+  const row = {};
+  COLUMNS.forEach(column => {
+    if (fields[column] !== undefined) {
+      row[column] = JSON_COLUMNS.includes(column) && fields[column] !== null
+        ? JSON.stringify(fields[column])
+        : fields[column];
+    }
+  });
+  return row;
+};
+
+const fromRow = (row) => {
+  if (!row) {
+    return row;
+  }
+  return { ...row, metadata: parseJSON(row.metadata), labels: parseJSON(row.labels) || {} };
+};
+
+// Map what a provider returns from createVM/getVMStatus onto vms columns.
+// Status is left out: it only changes through services/vmLifecycle.js.
+const fromProviderVM = (vm = {}) => ({
+  novnc_url: vm.novncUrl,
+  agent_url: vm.agentUrl,
+  public_ip: vm.publicIp,
+  chrome_version: vm.chromeVersion,
+  node_version: vm.nodeVersion,
+  container_id: vm.containerId,
+  server_id: vm.serverId
+});
+
+// The addresses a VM is reached at, which can change whenever it starts
+// (e.g. ephemeral external IPs); refreshed from status and power responses
+const addressesFromProviderVM = (vm = {}) => ({
+  novnc_url: vm.novncUrl,
+  agent_url: vm.agentUrl,
+  public_ip: vm.publicIp
+});
+
+class VMStore {
+  async create(id, fields) {
+    const now = new Date().toISOString();
+    const row = { ...toRow(fields), id, created_at: now, updated_at: now };
+    const columns = Object.keys(row);
+
+    await db.run(
+      `INSERT INTO vms (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+      columns.map(column => row[column])
+    );
+
+    return this.get(id);
+  }
+
+  async get(id) {
+    return fromRow(await db.get('SELECT * FROM vms WHERE id = ?', [id]));
+  }
+
+  // tenantId limits the list to one tenant's VMs; omit it to list every tenant.
+  // Deleted VMs are kept for their history but only listed when asked for.
+  async list({ status, provider, labels, tenantId } = {}) {
+    let query = 'SELECT * FROM vms';
+    const params = [];
+    const conditions = [];
+
+    if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    } else {
+      conditions.push("status != 'deleted'");
+    }
+    if (provider) {
+      conditions.push('provider = ?');
+      params.push(provider);
+    }
+    if (tenantId) {
+      conditions.push('tenant_id = ?');
+      params.push(tenantId);
+    }
+
+    if (conditions.length > 0) {
+      query += ' WHERE ' + conditions.join(' AND ');
+    }
+    query += ' ORDER BY created_at DESC';
+
+    const rows = await db.all(query, params);
+    const vms = rows.map(fromRow);
+
+    // Labels live in a JSON column, so the selector is matched here
+    if (labels && Object.keys(labels).length > 0) {
+      return vms.filter(vm => Object.entries(labels).every(([key, value]) => vm.labels[key] === value));
+    }
+    return vms;
+  }
+
+  async update(id, fields) {
+    const row = toRow(fields);
+    const columns = Object.keys(row);
+    if (columns.length === 0) {
+      return this.get(id);
+    }
+
+    await db.run(
+      `UPDATE vms SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = ? WHERE id = ?`,
+      [...columns.map(column => row[column]), new Date().toISOString(), id]
+    );
+
+    return this.get(id);
+  }
+
+  async touch(id) {
+    await db.run('UPDATE vms SET last_activity = ? WHERE id = ?', [new Date().toISOString(), id]);
+  }
+
+  async remove(id) {
+    const result = await db.run('DELETE FROM vms WHERE id = ?', [id]);
+    return result.changes > 0;
+  }
+}
+
+module.exports = new VMStore();
+module.exports.fromProviderVM = fromProviderVM;
+module.exports.addressesFromProviderVM = addressesFromProviderVM;
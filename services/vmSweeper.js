@@ -0,0 +1,162 @@
+const db = require('../database/init');
+const logger = require('../utils/logger');
+const providerRegistry = require('./providerRegistry');
+const vmLifecycle = require('./vmLifecycle');
+const { normalizeStatus } = require('./vmLifecycle');
+const vmStore = require('./vmStore');
+const { addressesFromProviderVM } = require('./vmStore');
+
+const SWEEP_INTERVAL = parseInt(process.env.VM_SWEEP_INTERVAL_MS, 10) || 60000;
+
+// Defaults for VMs created without a policy; 0 turns them off
+const DEFAULT_IDLE_STOP_MINUTES = parseInt(process.env.VM_IDLE_STOP_MINUTES, 10) || 0;
+const DEFAULT_TTL_MINUTES = parseInt(process.env.VM_TTL_MINUTES, 10) || 0;
+
+const ACTOR = 'sweeper';
+
+const MINUTE = 60 * 1000;
+
+const minutesAgo = (timestamp) => (Date.now() - new Date(timestamp).getTime()) / MINUTE;
+
+// Stops VMs that sat idle too long and deletes VMs whose lease ran out, every
+// VM_SWEEP_INTERVAL_MS. Idle time counts from last_activity (script runs,
+// power operations, lease extensions). Both go through the provider and the
+// lifecycle, so the reason shows up in the VM's transitions. Busy VMs and
+// idle warm pool VMs are left alone.
+class VMSweeper {
+  constructor() {
+    this.timer = null;
+    this.sweeping = false;
+    this.lastReport = null;
+  }
+
+  // Columns for a new VM's policy: idleStopMinutes null uses the default,
+  // ttlMinutes null uses VM_TTL_MINUTES (0: never expires)
+  policyFields({ idleStopMinutes = null, ttlMinutes = null } = {}) {
+    const ttl = ttlMinutes !== null ? ttlMinutes : DEFAULT_TTL_MINUTES;
+    return {
+      idle_stop_minutes: idleStopMinutes,
+      expires_at: ttl > 0 ? new Date(Date.now() + ttl * MINUTE).toISOString() : null
+    };
+  }
+
+  idleStopMinutes(vm) {
+    return vm.idle_stop_minutes !== null && vm.idle_stop_minutes !== undefined
+      ? vm.idle_stop_minutes
+      : DEFAULT_IDLE_STOP_MINUTES;
+  }
+
+  // Push the expiry out from now (or from the current expiry if that is
+  // later) and restart the idle clock
+  async extendLease(vmId, minutes) {
+    const vm = await vmStore.get(vmId);
+    const from = vm.expires_at && new Date(vm.expires_at) > new Date() ? new Date(vm.expires_at) : new Date();
+    return vmStore.update(vmId, {
+      expires_at: new Date(from.getTime() + minutes * MINUTE).toISOString(),
+      last_activity: new Date().toISOString()
+    });
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.sweep();
+    this.timer = setInterval(() => this.sweep(), SWEEP_INTERVAL);
+    logger.info(`VM sweeper started (every ${SWEEP_INTERVAL}ms, idle stop ${DEFAULT_IDLE_STOP_MINUTES || 'off'}, TTL ${DEFAULT_TTL_MINUTES || 'off'})`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async sweep() {
+    if (this.sweeping) {
+      return this.lastReport;
+    }
+    this.sweeping = true;
+    const report = { started_at: new Date().toISOString(), expired: [], stopped: [], failed: [] };
+
+    try {
+      const expired = await db.all(
+        `SELECT id FROM vms
+         WHERE expires_at IS NOT NULL AND expires_at <= ? AND warm_pool IS NULL
+           AND status IN ('booting', 'ready', 'stopped', 'error')`,
+        [new Date().toISOString()]
+      );
+      for (const { id } of expired) {
+        await this.expire(await vmStore.get(id), report);
+      }
+
+      const ready = await db.all("SELECT id FROM vms WHERE status = 'ready' AND warm_pool IS NULL");
+      for (const { id } of ready) {
+        const vm = await vmStore.get(id);
+        const limit = this.idleStopMinutes(vm);
+        const idle = minutesAgo(vm.last_activity || vm.created_at);
+        if (limit > 0 && idle >= limit) {
+          await this.stopIdle(vm, `Idle for ${Math.floor(idle)} minutes (limit ${limit})`, report);
+        }
+      }
+    } catch (error) {
+      logger.error('VM sweep failed:', error);
+    } finally {
+      report.finished_at = new Date().toISOString();
+      this.lastReport = report;
+      this.sweeping = false;
+    }
+    return report;
+  }
+
+  async expire(vm, report) {
+    const reason = `Lease expired at ${vm.expires_at}`;
+    try {
+      await vmLifecycle.transition(vm.id, 'deleting', { reason, actor: ACTOR });
+      await providerRegistry.get(vm.provider).deleteVM(vm.id);
+      await vmLifecycle.transition(vm.id, 'deleted', { reason: 'Deleted by provider', actor: ACTOR });
+      logger.info(`VM ${vm.id} deleted: ${reason}`);
+      report.expired.push({ id: vm.id, reason });
+    } catch (error) {
+      await this.fail(vm, 'delete', error, report);
+    }
+  }
+
+  async stopIdle(vm, reason, report) {
+    const provider = providerRegistry.get(vm.provider);
+    if (!provider.supports('stop')) {
+      return;
+    }
+
+    try {
+      await vmLifecycle.transition(vm.id, 'stopping', { reason, actor: ACTOR });
+      const result = await provider.stopVM(vm.id);
+      const reported = normalizeStatus(result && result.status);
+      await vmLifecycle.transition(vm.id, reported && reported !== 'stopping' ? reported : 'stopped', {
+        reason: `Stopped by provider ${provider.name}`,
+        actor: ACTOR,
+        fields: addressesFromProviderVM(result || {})
+      });
+      logger.info(`VM ${vm.id} stopped: ${reason}`);
+      report.stopped.push({ id: vm.id, reason });
+    } catch (error) {
+      await this.fail(vm, 'stop', error, report);
+    }
+  }
+
+  // A provider failure leaves the VM in `error`; the next sweep retries
+  // expired VMs from there
+  async fail(vm, action, error, report) {
+    logger.error(`Sweeper failed to ${action} VM ${vm.id}:`, error.message);
+    report.failed.push({ id: vm.id, action, error: error.message });
+    const current = await vmStore.get(vm.id);
+    if (current && ['deleting', 'stopping'].includes(current.status)) {
+      await vmLifecycle.transition(vm.id, 'error', { reason: `${action} failed: ${error.message}`, actor: ACTOR })
+        .catch(transitionError => logger.error(`Failed to mark VM ${vm.id} as error:`, transitionError.message));
+    }
+  }
+}
+
+module.exports = new VMSweeper();
@@ -0,0 +1,175 @@
+const http = require('http');
+const https = require('https');
+const logger = require('../utils/logger');
+const vmStore = require('./vmStore');
+const vncSessions = require('./vncSessions');
+
+const CONNECT_TIMEOUT = parseInt(process.env.VNC_CONNECT_TIMEOUT_MS, 10) || 10000;
+
+// Only a VM that is up has a VNC server to talk to
+const VIEWABLE_STATUSES = ['ready', 'busy'];
+
+// Handshake headers passed on to the VM; cookies, API keys and the token stay here
+const FORWARDED_HEADERS = ['sec-websocket-key', 'sec-websocket-version', 'sec-websocket-protocol', 'sec-websocket-extensions'];
+
+const PATH = /^\/vnc\/([^/]+)\/websockify$/;
+
+// The websockify endpoint that serves a VM's noVNC: next to the vnc.html in
+// novnc_url, or on novncPort at the VM's public IP
+const upstreamFor = (vm) => {
+  if (vm.novnc_url) {
+    const url = new URL(vm.novnc_url);
+    url.protocol = ['https:', 'wss:'].includes(url.protocol) ? 'https:' : 'http:';
+    url.pathname = `${url.pathname.replace(/\/(vnc|vnc_lite)\.html$/, '').replace(/\/$/, '')}/websockify`;
+    url.search = '';
+    url.hash = '';
+    return url;
+  }
+
+  const port = vm.metadata && vm.metadata.novncPort;
+  if (port && vm.public_ip) {
+    return new URL(`http://${vm.public_ip}:${port}/websockify`);
+  }
+  return null;
+};
+
+// Answer a WebSocket handshake with a plain HTTP error and hang up
+const reject = (socket, statusCode) => {
+  if (socket.writable) {
+    socket.end(`HTTP/1.1 ${statusCode} ${http.STATUS_CODES[statusCode]}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+  } else {
+    socket.destroy();
+  }
+};
+
+// Bridges the noVNC viewer's WebSocket at /vnc/:vmId/websockify?token=... to
+// the VM's websockify endpoint. The token must come from a VNC session for
+// that VM. After the upstream handshake succeeds the two sockets are piped
+// together, so frames pass through untouched.
+class VNCProxy {
+  // Handler for the HTTP server's `upgrade` event
+  async handleUpgrade(req, socket, head) {
+    // Node drops its own error handler once a socket is handed to `upgrade`;
+    // without one a viewer resetting the connection crashes the process
+    socket.on('error', error => logger.warn('VNC client socket error:', error.message));
+
+    let vmId = null;
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      const match = url.pathname.match(PATH);
+      if (!match) {
+        return reject(socket, 404);
+      }
+
+      try {
+        vmId = decodeURIComponent(match[1]);
+      } catch (error) {
+        return reject(socket, 400);
+      }
+
+      const session = await vncSessions.verify(vmId, url.searchParams.get('token'));
+      if (!session) {
+        logger.warn(`Rejected VNC connection to VM ${vmId}: invalid or expired token`);
+        return reject(socket, 401);
+      }
+
+      const vm = await vmStore.get(vmId);
+      if (!vm || !VIEWABLE_STATUSES.includes(vm.status)) {
+        return reject(socket, 409);
+      }
+
+      const upstream = upstreamFor(vm);
+      if (!upstream) {
+        logger.warn(`VM ${vmId} has no noVNC endpoint to proxy to`);
+        return reject(socket, 502);
+      }
+
+      this.bridge(req, socket, head, upstream, vm, session);
+    } catch (error) {
+      // Never req.url: its query string carries the token
+      logger.error(`Error opening VNC connection to VM ${vmId || req.url.split('?')[0]}:`, error);
+      reject(socket, 500);
+    }
+  }
+
+  bridge(req, socket, head, upstream, vm, session) {
+    const headers = { host: upstream.host, connection: 'Upgrade', upgrade: 'websocket' };
+    FORWARDED_HEADERS.forEach(header => {
+      if (req.headers[header]) {
+        headers[header] = req.headers[header];
+      }
+    });
+
+    const request = (upstream.protocol === 'https:' ? https : http).request({
+      protocol: upstream.protocol,
+      hostname: upstream.hostname,
+      port: upstream.port,
+      path: upstream.pathname,
+      headers,
+      timeout: CONNECT_TIMEOUT
+    });
+
+    // The viewer went away before the VM answered
+    socket.on('error', () => request.destroy());
+
+    request.on('upgrade', (response, upstreamSocket, upstreamHead) => {
+      upstreamSocket.setTimeout(0);
+
+      const lines = ['HTTP/1.1 101 Switching Protocols'];
+      for (let i = 0; i < response.rawHeaders.length; i += 2) {
+        lines.push(`${response.rawHeaders[i]}: ${response.rawHeaders[i + 1]}`);
+      }
+      socket.write(`${lines.join('\r\n')}\r\n\r\n`);
+      if (upstreamHead.length > 0) {
+        socket.write(upstreamHead);
+      }
+      if (head.length > 0) {
+        upstreamSocket.write(head);
+      }
+
+      upstreamSocket.pipe(socket);
+      socket.pipe(upstreamSocket);
+
+      let closed = false;
+      const close = () => {
+        if (closed) {
+          return;
+        }
+        closed = true;
+        socket.destroy();
+        upstreamSocket.destroy();
+        logger.info(`VNC connection to VM ${vm.id} closed (session ${session.id})`);
+      };
+      // Either side hanging up ends both; the server keeps sockets half-open
+      // otherwise
+      ['end', 'close', 'error'].forEach(event => {
+        socket.on(event, close);
+        upstreamSocket.on(event, close);
+      });
+
+      logger.info(`VNC connection to VM ${vm.id} opened (session ${session.id})`);
+      // Someone watching the VM counts as activity for the idle sweeper
+      Promise.all([
+        vncSessions.touch(session.id),
+        vmStore.update(vm.id, { last_activity: new Date().toISOString() })
+      ]).catch(error => logger.error(`Failed to record VNC connection to VM ${vm.id}:`, error.message));
+    });
+
+    // Anything but 101: websockify is not there or refused the handshake
+    request.on('response', (response) => {
+      response.resume();
+      logger.warn(`VM ${vm.id} answered the VNC handshake with ${response.statusCode}`);
+      reject(socket, 502);
+    });
+
+    request.on('timeout', () => request.destroy(new Error(`timed out after ${CONNECT_TIMEOUT}ms`)));
+    request.on('error', (error) => {
+      logger.warn(`Could not reach noVNC for VM ${vm.id} at ${upstream.host}:`, error.message);
+      reject(socket, 502);
+    });
+
+    request.end();
+  }
+}
+
+module.exports = new VNCProxy();
@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../database/init');
+const logger = require('../utils/logger');
+
+const SESSION_TTL_MINUTES = parseInt(process.env.VNC_SESSION_TTL_MINUTES, 10) || 15;
+
+const TOKEN_PREFIX = 'vnc_';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const fromRow = (row) => {
+  if (!row) {
+    return row;
+  }
+  const session = { ...row };
+  delete session.token_hash;
+  return session;
+};
+
+// Access tokens for the noVNC viewer. A token opens /vnc/:vmId and its
+// WebSocket for one VM until it expires or is revoked; connections already
+// open are not cut when it does. Like API keys, the plaintext token is only
+// returned when the session is created.
+class VNCSessions {
+  async create({ vmId, tenantId = null, createdBy = null, ttlMinutes = SESSION_TTL_MINUTES }) {
+    const token = `${TOKEN_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    const id = uuidv4();
+    const now = new Date();
+
+    await db.run(
+      `INSERT INTO vnc_sessions (id, vm_id, tenant_id, token_hash, created_by, created_at, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [id, vmId, tenantId, hashToken(token), createdBy, now.toISOString(), new Date(now.getTime() + ttlMinutes * 60 * 1000).toISOString()]
+    );
+
+    logger.info(`VNC session ${id} opened for VM ${vmId}`);
+    return { ...(await this.get(id)), token };
+  }
+
+  async get(id) {
+    return fromRow(await db.get('SELECT * FROM vnc_sessions WHERE id = ?', [id]));
+  }
+
+  async revoke(vmId, id) {
+    const result = await db.run(
+      'UPDATE vnc_sessions SET revoked_at = ? WHERE id = ? AND vm_id = ? AND revoked_at IS NULL',
+      [new Date().toISOString(), id, vmId]
+    );
+    return result.changes > 0;
+  }
+
+  // Returns the session for a valid token issued for this VM, or null
+  async verify(vmId, token) {
+    if (!token || !token.startsWith(TOKEN_PREFIX)) {
+      return null;
+    }
+
+    const row = await db.get('SELECT * FROM vnc_sessions WHERE token_hash = ?', [hashToken(token)]);
+    if (!row || row.vm_id !== vmId || row.revoked_at || new Date(row.expires_at) <= new Date()) {
+      return null;
+    }
+    return fromRow(row);
+  }
+
+  async touch(id) {
+    await db.run('UPDATE vnc_sessions SET last_connected_at = ? WHERE id = ?', [new Date().toISOString(), id]);
+  }
+}
+
+module.exports = new VNCSessions();
+module.exports.SESSION_TTL_MINUTES = SESSION_TTL_MINUTES;
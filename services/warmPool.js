@@ -0,0 +1,351 @@
+const { v4: uuidv4 } = require('uuid');
+const db = require('../database/init');
+const logger = require('../utils/logger');
+const providerRegistry = require('./providerRegistry');
+const vmLifecycle = require('./vmLifecycle');
+const { normalizeStatus } = require('./vmLifecycle');
+const vmStore = require('./vmStore');
+const { fromProviderVM, addressesFromProviderVM } = require('./vmStore');
+
+const REFILL_INTERVAL = parseInt(process.env.WARM_POOL_INTERVAL_MS, 10) || 15000;
+
+// A member the provider failed to delete stays in `error` and is retried
+// after this long, doubling with every failure up to DELETE_BACKOFF_MAX
+const DELETE_BACKOFF = parseInt(process.env.WARM_POOL_DELETE_BACKOFF_MS, 10) || 60000;
+const DELETE_BACKOFF_MAX = 60 * 60 * 1000;
+
+const ACTOR = 'warm-pool';
+
+// Pool members that are on their way to ready
+const WARMING_STATUSES = ['provisioning', 'booting'];
+// Pool members that will never be handed out and get replaced
+const DISCARDED_STATUSES = ['error', 'stopped', 'deleting'];
+
+const usable = (members) => members.filter(vm => !DISCARDED_STATUSES.includes(vm.status));
+
+// Whether a failed delete of the member is still backing off
+const deleteBackingOff = (vm) => Boolean(vm.metadata && vm.metadata.retry_delete_at) &&
+  new Date(vm.metadata.retry_delete_at) > new Date();
+
+// Idle, pre-booted VMs kept per provider and instance type. Pool VMs are
+// ordinary rows in the vms table with `warm_pool` set and no tenant;
+// POST /api/vms claims a ready one (clearing `warm_pool` and handing it to
+// the caller's tenant) instead of provisioning. Every WARM_POOL_INTERVAL_MS,
+// and right after a claim, each pool is topped up to its size: booting
+// members are refreshed from the provider, failed and surplus ones deleted,
+// and missing ones created one at a time. Pools fill independently, so a
+// slow provider only holds up its own pools.
+class WarmPool {
+  constructor() {
+    this.timer = null;
+    // Ids of the pools being filled right now
+    this.filling = new Set();
+  }
+
+  async create({ provider, instanceType = null, size }) {
+    const id = uuidv4();
+    const now = new Date().toISOString();
+
+    await db.run(
+      'INSERT INTO warm_pools (id, provider, instance_type, size, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)',
+      [id, provider, instanceType, size, now, now]
+    );
+
+    logger.info(`Warm pool ${id} created for ${provider}/${instanceType || 'default'} (size ${size})`);
+    this.refill();
+    return this.get(id);
+  }
+
+  async get(id) {
+    return db.get('SELECT * FROM warm_pools WHERE id = ?', [id]);
+  }
+
+  // The pool for a provider and instance type (null: the provider's default)
+  async find(provider, instanceType = null) {
+    return db.get('SELECT * FROM warm_pools WHERE provider = ? AND instance_type IS ?', [provider, instanceType]);
+  }
+
+  async list() {
+    return db.all('SELECT * FROM warm_pools ORDER BY created_at');
+  }
+
+  async resize(id, size) {
+    await db.run('UPDATE warm_pools SET size = ?, updated_at = ? WHERE id = ?', [size, new Date().toISOString(), id]);
+    logger.info(`Warm pool ${id} resized to ${size}`);
+    this.refill();
+    return this.get(id);
+  }
+
+  // Delete the pool and every idle VM still in it
+  async remove(id) {
+    const result = await db.run('DELETE FROM warm_pools WHERE id = ?', [id]);
+    for (const vm of await this.members(id)) {
+      await this.retire(vm, 'Warm pool removed');
+    }
+    return result.changes > 0;
+  }
+
+  async members(id) {
+    const rows = await db.all(
+      "SELECT id FROM vms WHERE warm_pool = ? AND status != 'deleted' ORDER BY created_at",
+      [id]
+    );
+    return Promise.all(rows.map(row => vmStore.get(row.id)));
+  }
+
+  // The pool with its target size and how many members are in each state
+  async status(pool) {
+    const members = await this.members(pool.id);
+    const count = (...statuses) => members.filter(vm => statuses.includes(vm.status)).length;
+    return {
+      ...pool,
+      ready: count('ready'),
+      warming: count(...WARMING_STATUSES),
+      failed: count('error'),
+      members: members.map(vm => ({ id: vm.id, status: vm.status, created_at: vm.created_at }))
+    };
+  }
+
+  // Hand a ready VM from the matching pool to a tenant. Resolves to the VM,
+  // or null when there is no pool or it has nothing ready.
+  async claim({ provider, instanceType = null, name, labels = {}, tenantId, createdBy }) {
+    const pool = await this.find(provider, instanceType);
+    if (!pool) {
+      return null;
+    }
+
+    const candidates = await db.all(
+      "SELECT id FROM vms WHERE warm_pool = ? AND status = 'ready' ORDER BY created_at",
+      [pool.id]
+    );
+    for (const { id } of candidates) {
+      // Only one request can take a given VM out of the pool
+      const result = await db.run(
+        `UPDATE vms SET warm_pool = NULL, name = ?, labels = ?, tenant_id = ?, created_by = ?, last_activity = ?, updated_at = ?
+         WHERE id = ? AND warm_pool = ? AND status = 'ready'`,
+        [name, JSON.stringify(labels), tenantId, createdBy, new Date().toISOString(), new Date().toISOString(), id, pool.id]
+      );
+      if (result.changes > 0) {
+        await vmLifecycle.record(id, 'ready', 'ready', { reason: `Claimed from warm pool ${pool.id}`, actor: createdBy });
+        logger.info(`VM ${id} claimed from warm pool ${pool.id}`);
+        this.refill();
+        return { vm: await vmStore.get(id), pool };
+      }
+    }
+
+    logger.info(`Warm pool ${pool.id} has no ready VM; provisioning instead`);
+    this.refill();
+    return null;
+  }
+
+  // Create one VM for the pool
+  async provision(pool) {
+    const provider = providerRegistry.get(pool.provider);
+    const vmId = uuidv4();
+
+    await vmStore.create(vmId, {
+      name: `warm-${pool.provider}-${vmId.slice(0, 8)}`,
+      provider: provider.name,
+      instance_type: pool.instance_type,
+      status: 'provisioning',
+      tenant_id: null,
+      created_by: ACTOR,
+      warm_pool: pool.id
+    });
+    await vmLifecycle.record(vmId, null, 'provisioning', { reason: `Warming pool ${pool.id}`, actor: ACTOR });
+
+    let created;
+    try {
+      created = await provider.createVM(vmId, { name: `warm-${vmId}`, instanceType: pool.instance_type || undefined });
+    } catch (error) {
+      await vmLifecycle.transition(vmId, 'error', {
+        reason: error.message,
+        actor: ACTOR,
+        fields: { metadata: { error: error.message } }
+      });
+      throw error;
+    }
+
+    const reported = normalizeStatus(created.status);
+    const vm = await vmLifecycle.transition(vmId, ['ready', 'error'].includes(reported) ? reported : 'booting', {
+      reason: `Created by provider ${provider.name} for warm pool ${pool.id}`,
+      actor: ACTOR,
+      fields: {
+        ...fromProviderVM(created),
+        instance_type: created.instanceType || pool.instance_type,
+        last_activity: new Date().toISOString(),
+        metadata: created
+      }
+    });
+
+    // The pool was removed while this VM was being created
+    if (!(await this.get(pool.id))) {
+      await this.retire(vm, 'Warm pool removed');
+    }
+  }
+
+  // Members a restart interrupted mid-creation can never finish; fail them
+  // so the next refill replaces them
+  async recoverInterrupted() {
+    const rows = await db.all("SELECT id FROM vms WHERE warm_pool IS NOT NULL AND status = 'provisioning'");
+    for (const { id } of rows) {
+      await vmLifecycle.transition(id, 'error', { reason: 'Interrupted while warming', actor: ACTOR });
+    }
+  }
+
+  // Delete a pool VM at the provider. A failure leaves it in `error` with
+  // metadata.delete_attempts counted and metadata.retry_delete_at set; it is
+  // only marked deleted once the provider has really deleted it.
+  async retire(vm, reason) {
+    // Being created or deleted by someone else right now
+    if (['provisioning', 'deleting'].includes(vm.status)) {
+      return;
+    }
+
+    // Only if it is still in the pool: a claim leaves the status at ready,
+    // so a plain transition() would not notice that the VM was handed out
+    vmLifecycle.assertCanTransition(vm, 'deleting');
+    const result = await db.run(
+      "UPDATE vms SET status = 'deleting', updated_at = ? WHERE id = ? AND status = ? AND warm_pool IS NOT NULL",
+      [new Date().toISOString(), vm.id, vm.status]
+    );
+    if (result.changes === 0) {
+      return;
+    }
+    await vmLifecycle.record(vm.id, vm.status, 'deleting', { reason, actor: ACTOR });
+
+    try {
+      await providerRegistry.get(vm.provider).deleteVM(vm.id);
+    } catch (error) {
+      const attempts = ((vm.metadata && vm.metadata.delete_attempts) || 0) + 1;
+      const backoff = Math.min(DELETE_BACKOFF * 2 ** (attempts - 1), DELETE_BACKOFF_MAX);
+      logger.error(`Failed to delete warm pool VM ${vm.id} (attempt ${attempts}, retrying in ${backoff}ms):`, error.message);
+      await vmLifecycle.transition(vm.id, 'error', {
+        reason: `Delete failed: ${error.message}`,
+        actor: ACTOR,
+        fields: {
+          metadata: {
+            ...(vm.metadata || {}),
+            delete_attempts: attempts,
+            retry_delete_at: new Date(Date.now() + backoff).toISOString()
+          }
+        }
+      });
+      return;
+    }
+    await vmLifecycle.transition(vm.id, 'deleted', { reason: 'Deleted by provider', actor: ACTOR });
+  }
+
+  // Ask the provider whether a booting member is ready yet
+  async refresh(vm) {
+    const provider = providerRegistry.get(vm.provider);
+    const providerStatus = await provider.getVMStatus(vm.id);
+    await vmLifecycle.observe(vm.id, providerStatus && providerStatus.status, {
+      reason: `Status refresh from provider ${provider.name}`,
+      actor: ACTOR
+    });
+    await vmStore.update(vm.id, addressesFromProviderVM(providerStatus || {}));
+  }
+
+  async fill(pool) {
+    let members = await this.members(pool.id);
+
+    for (const vm of members.filter(member => member.status === 'booting')) {
+      await this.refresh(vm).catch(error => logger.warn(`Warm pool VM ${vm.id} refresh failed:`, error.message));
+    }
+    for (const vm of members.filter(member => ['error', 'stopped'].includes(member.status))) {
+      if (!deleteBackingOff(vm)) {
+        await this.retire(vm, `VM is ${vm.status}, replacing it`);
+      }
+    }
+
+    members = usable(await this.members(pool.id));
+    // Shrink: members that are not ready yet go first, then the newest ones
+    const surplus = [
+      ...members.filter(member => member.status !== 'ready'),
+      ...members.filter(member => member.status === 'ready').reverse()
+    ];
+    for (const vm of surplus.slice(0, Math.max(members.length - pool.size, 0))) {
+      await this.retire(vm, `Warm pool ${pool.id} shrunk to ${pool.size}`);
+    }
+
+    for (let missing = pool.size - members.length; missing > 0; missing--) {
+      // Stop early if the pool was resized or removed while creating
+      const current = await this.get(pool.id);
+      if (!current || usable(await this.members(pool.id)).length >= current.size) {
+        break;
+      }
+      await this.provision(current);
+    }
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.recoverInterrupted()
+      .catch(error => logger.error('Failed to recover interrupted warm pool VMs:', error))
+      .then(() => this.tick());
+    this.timer = setInterval(() => this.tick(), REFILL_INTERVAL);
+    logger.info(`Warm pool refill started (every ${REFILL_INTERVAL}ms)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Top up in the background; a refill already running is not interrupted
+  refill() {
+    setImmediate(() => this.tick());
+  }
+
+  async tick() {
+    let pools;
+    try {
+      pools = await this.list();
+    } catch (error) {
+      logger.error('Warm pool refill failed:', error);
+      return;
+    }
+    await Promise.all([
+      ...pools.map(pool => this.fillPool(pool)),
+      this.retireLeftovers().catch(error => logger.error('Failed to retire VMs of removed warm pools:', error.message))
+    ]);
+  }
+
+  // Members of removed pools whose delete failed are retried here, since no
+  // fill visits them any more
+  async retireLeftovers() {
+    const rows = await db.all(
+      "SELECT id FROM vms WHERE warm_pool IS NOT NULL AND status = 'error' AND warm_pool NOT IN (SELECT id FROM warm_pools)"
+    );
+    for (const { id } of rows) {
+      const vm = await vmStore.get(id);
+      if (!deleteBackingOff(vm)) {
+        await this.retire(vm, 'Warm pool removed');
+      }
+    }
+  }
+
+  // A pool still filling from an earlier tick is left to finish
+  async fillPool(pool) {
+    if (this.filling.has(pool.id)) {
+      return;
+    }
+    this.filling.add(pool.id);
+
+    try {
+      await this.fill(pool);
+    } catch (error) {
+      logger.error(`Warm pool ${pool.id} refill failed:`, error.message);
+    } finally {
+      this.filling.delete(pool.id);
+    }
+  }
+}
+
+module.exports = new WarmPool();
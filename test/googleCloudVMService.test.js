@@ -0,0 +1,148 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createComputeStub } = require('./stubs/computeApi');
+
+describe('GoogleCloudVMService against a Compute API stub', () => {
+  const stub = createComputeStub({ project: 'test-project', zone: 'test-zone', pageSize: 2, operationPolls: 2 });
+  let gcp;
+
+  before(async () => {
+    await stub.listen();
+    process.env.LOG_LEVEL = 'error';
+    process.env.GOOGLE_CLOUD_PROJECT_ID = 'test-project';
+    process.env.GOOGLE_CLOUD_ZONE = 'test-zone';
+    process.env.GOOGLE_CLOUD_COMPUTE_URL = stub.url;
+    process.env.GOOGLE_CLOUD_OPERATION_POLL_MS = '5';
+    // The stub also answers the agent's /health, so RUNNING instances are ready
+    process.env.GOOGLE_CLOUD_AGENT_PORT = String(stub.port);
+
+    // Skip Application Default Credentials lookup
+    const gcpAuth = require('../utils/gcpAuth');
+    gcpAuth.accessToken = 'test-token';
+    gcpAuth.tokenExpiry = Date.now() + 60 * 60 * 1000;
+
+    gcp = require('../services/googleCloudVMService');
+  });
+
+  after(() => stub.close());
+
+  beforeEach(() => {
+    stub.instances.clear();
+    stub.requests.length = 0;
+    stub.natIP = '127.0.0.1';
+  });
+
+  const apiCalls = () => stub.requests.filter(request => request.path !== '/health');
+
+  it('inserts an instance, waits for the zone operation and returns its external IP', async () => {
+    const vm = await gcp.createVM('vm-1', { name: 'first', instanceType: 'e2-small' });
+
+    const insert = apiCalls()[0];
+    assert.equal(insert.method, 'POST');
+    assert.equal(insert.path, '/projects/test-project/zones/test-zone/instances');
+    assert.equal(insert.body.name, 'chrome-vm-vm-1');
+    assert.equal(insert.body.machineType, 'zones/test-zone/machineTypes/e2-small');
+    assert.equal(insert.body.disks[0].initializeParams.diskSizeGb, '20');
+    assert.deepEqual(insert.body.labels, { 'chrome-vm-dashboard': 'true', 'vm-id': 'vm-1' });
+
+    // Polled until DONE (two polls in this stub)
+    const polls = apiCalls().filter(request => request.path.includes('/operations/'));
+    assert.equal(polls.length, 2);
+
+    assert.equal(vm.status, 'ready');
+    assert.equal(vm.publicIp, '127.0.0.1');
+    assert.equal(vm.agentUrl, `http://127.0.0.1:${stub.port}`);
+    assert.equal(vm.novncUrl, 'http://127.0.0.1:6080/vnc.html');
+    assert.equal(vm.instanceType, 'e2-small');
+    assert.equal(vm.memoryMb, 2048);
+  });
+
+  it('uses the catalog default when no instance type is given', async () => {
+    const vm = await gcp.createVM('vm-default');
+    assert.equal(vm.instanceType, 'e2-medium');
+    assert.equal(apiCalls()[0].body.machineType, 'zones/test-zone/machineTypes/e2-medium');
+  });
+
+  it('rejects instance types outside the catalog before calling the API', async () => {
+    await assert.rejects(gcp.createVM('vm-bad', { instanceType: 'e2-huge' }), { statusCode: 400 });
+    assert.equal(apiCalls().length, 0);
+  });
+
+  it('gets an instance and reports missing ones as not_found', async () => {
+    await gcp.createVM('vm-2');
+
+    const status = await gcp.getVMStatus('vm-2');
+    assert.equal(status.id, 'vm-2');
+    assert.equal(status.gcpStatus, 'RUNNING');
+    assert.equal(status.machineType, 'e2-medium');
+
+    assert.deepEqual(await gcp.getVMStatus('missing'), { status: 'not_found' });
+  });
+
+  it('stops and starts an instance, picking up the new external IP', async () => {
+    await gcp.createVM('vm-3');
+
+    const stopped = await gcp.stopVM('vm-3');
+    assert.equal(stopped.status, 'terminated');
+    assert.equal(stopped.publicIp, null);
+    assert.ok(apiCalls().some(request => request.method === 'POST' && request.path.endsWith('/chrome-vm-vm-3/stop')));
+
+    stub.natIP = '127.0.0.2';
+    const started = await gcp.startVM('vm-3');
+    assert.equal(started.gcpStatus, 'RUNNING');
+    assert.equal(started.publicIp, '127.0.0.2');
+    assert.equal(started.novncUrl, 'http://127.0.0.2:6080/vnc.html');
+  });
+
+  it('deletes an instance and treats an already missing one as deleted', async () => {
+    await gcp.createVM('vm-4');
+
+    assert.deepEqual(await gcp.deleteVM('vm-4'), { success: true });
+    assert.equal(stub.instances.has('chrome-vm-vm-4'), false);
+    assert.deepEqual(await gcp.deleteVM('vm-4'), { success: true });
+  });
+
+  it('lists managed instances across every page', async () => {
+    for (const id of ['a', 'b', 'c', 'd', 'e']) {
+      await gcp.createVM(id);
+    }
+
+    const vms = await gcp.listVMs();
+    assert.deepEqual(vms.map(vm => vm.id).sort(), ['a', 'b', 'c', 'd', 'e']);
+
+    const pages = apiCalls().filter(request => request.method === 'GET' && request.path.endsWith('/instances'));
+    assert.equal(pages.length, 3);
+    assert.equal(pages[0].query.filter, 'labels.chrome-vm-dashboard=true');
+    assert.equal(pages[2].query.pageToken, '4');
+  });
+
+  it('wraps API errors in a ProviderError carrying Google\'s message', async () => {
+    stub.failNext = { status: 403, message: 'Required permission compute.instances.create' };
+
+    await assert.rejects(gcp.createVM('vm-5'), (error) => {
+      assert.equal(error.name, 'ProviderError');
+      assert.equal(error.statusCode, 502);
+      assert.match(error.message, /Required permission compute\.instances\.create/);
+      return true;
+    });
+  });
+
+  it('fails when the zone operation finishes with errors and deletes the instance', async () => {
+    stub.failOperation = 'Quota CPUS exceeded';
+
+    await assert.rejects(gcp.createVM('vm-6'), (error) => {
+      assert.equal(error.name, 'ProviderError');
+      assert.match(error.message, /insert failed: Quota CPUS exceeded/);
+      return true;
+    });
+    assert.equal(stub.instances.has('chrome-vm-vm-6'), false);
+  });
+
+  it('reports power actions on a missing instance as a ProviderError', async () => {
+    await assert.rejects(gcp.startVM('missing'), (error) => {
+      assert.equal(error.name, 'ProviderError');
+      assert.match(error.message, /not found/);
+      return true;
+    });
+  });
+});
@@ -0,0 +1,143 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRailwayStub } = require('./stubs/railwayApi');
+
+describe('RailwayVMService against a GraphQL stub', () => {
+  const stub = createRailwayStub();
+  let railway;
+
+  before(async () => {
+    await stub.listen();
+    process.env.LOG_LEVEL = 'error';
+    process.env.RAILWAY_API_URL = stub.url;
+    process.env.RAILWAY_API_KEY = 'test-key';
+    process.env.RAILWAY_PROJECT_ID = 'project-1';
+    process.env.RAILWAY_DEPLOY_POLL_MS = '5';
+    delete process.env.RAILWAY_ENVIRONMENT_ID;
+
+    railway = require('../services/railwayVMService');
+  });
+
+  after(() => stub.close());
+
+  beforeEach(() => {
+    stub.requests.length = 0;
+    stub.deploySteps = ['BUILDING', 'DEPLOYING', 'SUCCESS'];
+  });
+
+  it('creates a service from the image with the instance type\'s limits', async () => {
+    const vm = await railway.createVM('vm-1', { name: 'first', instanceType: 't3.large' });
+
+    const [create] = stub.calls('serviceCreate');
+    assert.equal(create.variables.input.projectId, 'project-1');
+    assert.equal(create.variables.input.environmentId, 'env-1');
+    assert.equal(create.variables.input.name, 'chrome-vm-vm-1');
+    assert.equal(create.variables.input.source.image, 'browserless/chrome:latest');
+    assert.equal(create.variables.input.variables.MEMORY_LIMIT, '8GB');
+    assert.equal(create.variables.input.variables.CPU_LIMIT, '2 vCPU');
+    assert.equal(create.variables.input.variables.PORT, '3000');
+
+    assert.equal(stub.services.get(vm.serviceId).name, 'chrome-vm-vm-1');
+    assert.equal(vm.environmentId, 'env-1');
+    assert.equal(vm.instanceType, 't3.large');
+    assert.equal(vm.memoryMb, 8192);
+  });
+
+  it('creates a domain for the agent and the noVNC port', async () => {
+    const vm = await railway.createVM('vm-2');
+
+    const domains = stub.calls('serviceDomainCreate').map(call => call.variables.input);
+    assert.deepEqual(domains.map(input => input.targetPort), [3000, 6080]);
+    assert.ok(domains.every(input => input.serviceId === vm.serviceId && input.environmentId === 'env-1'));
+    assert.equal(vm.agentUrl, 'https://chrome-vm-vm-2-3000.up.railway.app');
+    assert.equal(vm.novncUrl, 'https://chrome-vm-vm-2-6080.up.railway.app');
+  });
+
+  it('returns the VM as booting without waiting for the deployment', async () => {
+    const vm = await railway.createVM('vm-3');
+
+    assert.equal(stub.calls('deployments').length, 1);
+    assert.equal(vm.status, 'booting');
+    assert.equal(stub.deployments.get(vm.deploymentId).status, 'BUILDING');
+
+    assert.equal((await railway.getVMStatus('vm-3')).status, 'booting');
+    assert.equal((await railway.getVMStatus('vm-3')).status, 'ready');
+  });
+
+  it('reports a failed first deployment through getVMStatus', async () => {
+    stub.failNextDeployment = 'FAILED';
+
+    const vm = await railway.createVM('vm-4');
+    assert.equal(vm.status, 'booting');
+
+    const status = await railway.getVMStatus('vm-4');
+    assert.equal(status.status, 'error');
+    assert.equal(status.deploymentId, vm.deploymentId);
+  });
+
+  it('removes the service when a domain cannot be created', async () => {
+    stub.failNext = { operation: 'serviceDomainCreate', message: 'Domain limit reached' };
+
+    await assert.rejects(railway.createVM('vm-5'), /Domain limit reached/);
+    assert.equal(stub.calls('serviceDelete').length, 1);
+    assert.equal([...stub.services.values()].some(service => service.name === 'chrome-vm-vm-5'), false);
+  });
+
+  it('waits for the deployment a start created, not the previous one', async () => {
+    const vm = await railway.createVM('vm-6');
+    const previous = vm.deploymentId;
+    stub.requests.length = 0;
+
+    const result = await railway.startVM('vm-6');
+    const [deploy] = stub.calls('serviceInstanceDeployV2');
+    assert.ok(deploy);
+
+    const started = railway.getVM('vm-6').deploymentId;
+    assert.notEqual(started, previous);
+    assert.deepEqual(stub.calls('deployment').map(call => call.variables.id), [started, started, started]);
+    assert.equal(stub.deployments.get(started).status, 'SUCCESS');
+    assert.equal(result.status, 'ready');
+  });
+
+  it('waits for the redeployment a restart created', async () => {
+    const vm = await railway.createVM('vm-7');
+    const previous = vm.deploymentId;
+    stub.requests.length = 0;
+
+    await railway.restartVM('vm-7');
+    const [redeploy] = stub.calls('deploymentRedeploy');
+    assert.equal(redeploy.variables.id, previous);
+
+    const restarted = railway.getVM('vm-7').deploymentId;
+    assert.notEqual(restarted, previous);
+    assert.equal(stub.deployments.get(restarted).status, 'SUCCESS');
+  });
+
+  it('stops the latest deployment', async () => {
+    const vm = await railway.createVM('vm-8');
+
+    const result = await railway.stopVM('vm-8');
+    assert.deepEqual(stub.calls('deploymentStop').map(call => call.variables.id), [vm.deploymentId]);
+    assert.equal(result.status, 'stopped');
+    assert.equal((await railway.getVMStatus('vm-8')).status, 'stopped');
+  });
+
+  it('deletes the service and forgets the VM', async () => {
+    const vm = await railway.createVM('vm-9');
+
+    assert.deepEqual(await railway.deleteVM('vm-9'), { success: true });
+    assert.equal(stub.services.has(vm.serviceId), false);
+    assert.deepEqual(await railway.getVMStatus('vm-9'), { status: 'not_found' });
+  });
+
+  it('reports GraphQL errors as ProviderErrors', async () => {
+    stub.failNext = { operation: 'serviceCreate', message: 'Project is over its service limit' };
+
+    await assert.rejects(railway.createVM('vm-10'), (error) => {
+      assert.equal(error.name, 'ProviderError');
+      assert.equal(error.statusCode, 502);
+      assert.match(error.message, /Project is over its service limit/);
+      return true;
+    });
+  });
+});
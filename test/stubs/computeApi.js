@@ -0,0 +1,160 @@
+const http = require('http');
+
+// Minimal in-memory Compute Engine API for one project and zone: instance
+// insert/get/list/start/stop/reset/delete, zone operations that finish after
+// `operationPolls` polls, and an agent /health endpoint on the same port.
+// `failNext` makes the next API call answer with an error.
+const createComputeStub = ({ project = 'test-project', zone = 'test-zone', pageSize = 2, operationPolls = 1 } = {}) => {
+  const instances = new Map();
+  const operations = new Map();
+  const requests = [];
+  let operationCount = 0;
+
+  const stub = {
+    instances,
+    requests,
+    // Address handed out on the next insert or start
+    natIP: '127.0.0.1',
+    failNext: null,
+    failOperation: null,
+    server: null,
+    url: null
+  };
+
+  const send = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  const apiError = (res, status, message) => send(res, status, { error: { code: status, message } });
+
+  const operation = (operationType, targetName) => {
+    operationCount += 1;
+    const op = { name: `operation-${operationCount}`, operationType, targetLink: targetName, status: 'RUNNING', polls: 0 };
+    if (stub.failOperation) {
+      op.error = { errors: [{ code: 'QUOTA_EXCEEDED', message: stub.failOperation }] };
+      stub.failOperation = null;
+    }
+    operations.set(op.name, op);
+    return { name: op.name, operationType, status: 'RUNNING' };
+  };
+
+  const withAddress = (instance) => {
+    instance.networkInterfaces = [{ networkIP: '10.0.0.2', accessConfigs: [{ name: 'External NAT', natIP: stub.natIP }] }];
+    return instance;
+  };
+
+  const handle = (req, res, body) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), body });
+
+    if (url.pathname === '/health') {
+      return send(res, 200, { status: 'healthy' });
+    }
+
+    if (stub.failNext) {
+      const { status, message } = stub.failNext;
+      stub.failNext = null;
+      return apiError(res, status, message);
+    }
+
+    const prefix = `/projects/${project}/zones/${zone}`;
+    if (!url.pathname.startsWith(prefix)) {
+      return apiError(res, 404, `Unknown path ${url.pathname}`);
+    }
+    const parts = url.pathname.slice(prefix.length).split('/').filter(Boolean);
+
+    if (parts[0] === 'operations' && parts.length === 2 && req.method === 'GET') {
+      const op = operations.get(parts[1]);
+      if (!op) {
+        return apiError(res, 404, `Operation ${parts[1]} not found`);
+      }
+      op.polls += 1;
+      if (op.polls >= operationPolls) {
+        op.status = 'DONE';
+      }
+      const { polls, ...body } = op;
+      return send(res, 200, body);
+    }
+
+    if (parts[0] !== 'instances') {
+      return apiError(res, 404, `Unknown path ${url.pathname}`);
+    }
+
+    if (parts.length === 1 && req.method === 'POST') {
+      if (instances.has(body.name)) {
+        return apiError(res, 409, `The resource '${body.name}' already exists`);
+      }
+      instances.set(body.name, withAddress({
+        id: String(1000 + instances.size),
+        name: body.name,
+        machineType: `https://compute.googleapis.com/compute/v1/projects/${project}/${body.machineType}`,
+        labels: body.labels,
+        status: 'RUNNING'
+      }));
+      return send(res, 200, operation('insert', body.name));
+    }
+
+    if (parts.length === 1 && req.method === 'GET') {
+      const [key, value] = (url.searchParams.get('filter') || '').replace(/^labels\./, '').split('=');
+      const matching = [...instances.values()].filter(instance => !key || (instance.labels && instance.labels[key] === value));
+      const start = parseInt(url.searchParams.get('pageToken'), 10) || 0;
+      const size = parseInt(url.searchParams.get('maxResults'), 10) || pageSize;
+      const page = { items: matching.slice(start, start + size) };
+      if (start + size < matching.length) {
+        page.nextPageToken = String(start + size);
+      }
+      return send(res, 200, page);
+    }
+
+    const instance = instances.get(parts[1]);
+    if (!instance) {
+      return apiError(res, 404, `The resource '${parts[1]}' was not found`);
+    }
+
+    if (parts.length === 2 && req.method === 'GET') {
+      return send(res, 200, instance);
+    }
+    if (parts.length === 2 && req.method === 'DELETE') {
+      instances.delete(instance.name);
+      return send(res, 200, operation('delete', instance.name));
+    }
+    if (parts.length === 3 && req.method === 'POST') {
+      const action = parts[2];
+      if (action === 'stop') {
+        instance.status = 'TERMINATED';
+        instance.networkInterfaces[0].accessConfigs[0].natIP = undefined;
+      } else if (action === 'start' || action === 'reset') {
+        instance.status = 'RUNNING';
+        withAddress(instance);
+      } else {
+        return apiError(res, 400, `Unknown action ${action}`);
+      }
+      return send(res, 200, operation(action, instance.name));
+    }
+
+    return apiError(res, 405, `${req.method} not allowed`);
+  };
+
+  stub.listen = () => new Promise(resolve => {
+    stub.server = http.createServer((req, res) => {
+      let raw = '';
+      req.on('data', chunk => { raw += chunk; });
+      req.on('end', () => handle(req, res, raw ? JSON.parse(raw) : null));
+    });
+    stub.server.listen(0, '127.0.0.1', () => {
+      stub.port = stub.server.address().port;
+      stub.url = `http://127.0.0.1:${stub.port}`;
+      resolve(stub);
+    });
+  });
+
+  stub.close = () => new Promise(resolve => {
+    stub.server.closeAllConnections();
+    stub.server.close(resolve);
+  });
+
+  return stub;
+};
+
+module.exports = { createComputeStub };
@@ -0,0 +1,150 @@
+const http = require('http');
+
+// Minimal in-memory Railway GraphQL API. Operations are dispatched on the
+// operation name in the query (`mutation serviceCreate(...)`), which is how
+// services/railwayVMService.js names every query. Each deployment moves one
+// step through `deploySteps` every time it is read, so callers have to poll;
+// `failNextDeployment` makes the next deployment end in that status instead,
+// and `failNext` answers the next named operation with a GraphQL error.
+const createRailwayStub = ({ environments = [{ id: 'env-1', name: 'production' }] } = {}) => {
+  const services = new Map();
+  const deployments = new Map();
+  const requests = [];
+  let counter = 0;
+
+  const stub = {
+    services,
+    deployments,
+    requests,
+    deploySteps: ['BUILDING', 'DEPLOYING', 'SUCCESS'],
+    failNextDeployment: null,
+    failNext: null,
+    server: null,
+    url: null
+  };
+
+  const nextId = (prefix) => {
+    counter += 1;
+    return `${prefix}-${counter}`;
+  };
+
+  const deploy = (serviceId) => {
+    const steps = stub.failNextDeployment ? ['BUILDING', stub.failNextDeployment] : [...stub.deploySteps];
+    stub.failNextDeployment = null;
+    const deployment = { id: nextId('deployment'), serviceId, steps, reads: 0, status: steps[0] };
+    deployments.set(deployment.id, deployment);
+    services.get(serviceId).deployments.unshift(deployment.id);
+    return deployment;
+  };
+
+  // Reading a deployment advances it one step
+  const read = (deployment) => {
+    deployment.status = deployment.steps[Math.min(deployment.reads, deployment.steps.length - 1)];
+    deployment.reads += 1;
+    return { id: deployment.id, status: deployment.status };
+  };
+
+  const resolvers = {
+    project: ({ id }) => ({ project: { id, name: 'Test project' } }),
+    environments: () => ({
+      project: { environments: { edges: environments.map(node => ({ node })) } }
+    }),
+    serviceCreate: ({ input }) => {
+      const service = { id: nextId('service'), name: input.name, input, domains: [], deployments: [] };
+      services.set(service.id, service);
+      deploy(service.id);
+      return { serviceCreate: { id: service.id, name: service.name } };
+    },
+    serviceDomainCreate: ({ input }) => {
+      const service = services.get(input.serviceId);
+      const domain = `${service.name}-${input.targetPort}.up.railway.app`;
+      service.domains.push({ targetPort: input.targetPort, domain });
+      return { serviceDomainCreate: { id: nextId('domain'), domain } };
+    },
+    deployments: ({ input }) => {
+      const service = services.get(input.serviceId);
+      const latest = service && service.deployments[0];
+      return { deployments: { edges: latest ? [{ node: read(deployments.get(latest)) }] : [] } };
+    },
+    deployment: ({ id }) => {
+      const deployment = deployments.get(id);
+      if (!deployment) {
+        throw new Error(`Deployment ${id} not found`);
+      }
+      return { deployment: read(deployment) };
+    },
+    serviceInstanceDeployV2: ({ serviceId }) => ({ serviceInstanceDeployV2: deploy(serviceId).id }),
+    deploymentRedeploy: ({ id }) => {
+      const deployment = deploy(deployments.get(id).serviceId);
+      return { deploymentRedeploy: { id: deployment.id, status: deployment.status } };
+    },
+    deploymentStop: ({ id }) => {
+      const deployment = deployments.get(id);
+      deployment.steps = ['REMOVED'];
+      deployment.reads = 0;
+      return { deploymentStop: true };
+    },
+    serviceDelete: ({ id }) => {
+      if (!services.delete(id)) {
+        throw new Error(`Service ${id} not found`);
+      }
+      return { serviceDelete: true };
+    }
+  };
+
+  const send = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  const handle = (req, res, body) => {
+    if (req.method !== 'POST' || req.url !== '/graphql/v2') {
+      return send(res, 404, { errors: [{ message: 'Not found' }] });
+    }
+    if (req.headers.authorization !== 'Bearer test-key') {
+      return send(res, 401, { errors: [{ message: 'Not Authorized' }] });
+    }
+
+    const match = body.query.match(/^\s*(?:query|mutation)\s+(\w+)/);
+    const operation = match && match[1];
+    requests.push({ operation, variables: body.variables });
+
+    if (stub.failNext && stub.failNext.operation === operation) {
+      const { message } = stub.failNext;
+      stub.failNext = null;
+      return send(res, 200, { data: null, errors: [{ message }] });
+    }
+    if (!resolvers[operation]) {
+      return send(res, 400, { errors: [{ message: `Unknown operation ${operation}` }] });
+    }
+
+    try {
+      send(res, 200, { data: resolvers[operation](body.variables || {}) });
+    } catch (error) {
+      send(res, 200, { data: null, errors: [{ message: error.message }] });
+    }
+  };
+
+  stub.listen = () => new Promise(resolve => {
+    stub.server = http.createServer((req, res) => {
+      let raw = '';
+      req.on('data', chunk => { raw += chunk; });
+      req.on('end', () => handle(req, res, raw ? JSON.parse(raw) : {}));
+    });
+    stub.server.listen(0, '127.0.0.1', () => {
+      stub.url = `http://127.0.0.1:${stub.server.address().port}`;
+      resolve(stub);
+    });
+  });
+
+  stub.close = () => new Promise(resolve => {
+    stub.server.closeAllConnections();
+    stub.server.close(resolve);
+  });
+
+  stub.calls = (operation) => requests.filter(request => request.operation === operation);
+
+  return stub;
+};
+
+module.exports = { createRailwayStub };
@@ -0,0 +1,73 @@
+// Errors that carry the HTTP status a route should answer with.
+// Routes check `error.statusCode` and fall back to 500 for anything else.
+class ApiError extends Error {
+  constructor(statusCode, message, details) {
+    super(message);
+    this.name = 'ApiError';
+    this.statusCode = statusCode;
+    if (details !== undefined) {
+      this.details = details;
+    }
+  }
+}
+
+class NotFoundError extends ApiError {
+  constructor(message = 'Not found') {
+    super(404, message);
+    this.name = 'NotFoundError';
+  }
+}
+
+class UnsupportedOperationError extends ApiError {
+  constructor(provider, operation) {
+    super(501, `Provider ${provider} does not support ${operation}`);
+    this.name = 'UnsupportedOperationError';
+    this.provider = provider;
+    this.operation = operation;
+  }
+}
+
+// A provider could not do what was asked (unreachable, not configured,
+// rejected the request)
+class ProviderError extends ApiError {
+  constructor(provider, message) {
+    super(502, message, { provider });
+    this.name = 'ProviderError';
+    this.provider = provider;
+  }
+}
+
+// A VM lifecycle change that the state machine does not allow
+class InvalidTransitionError extends ApiError {
+  constructor(from, to, allowed = []) {
+    super(409, `Cannot move VM from ${from} to ${to}`, { from, to, allowed });
+    this.name = 'InvalidTransitionError';
+  }
+}
+
+// A tenant or server limit was hit; details say which one and by how much
+class QuotaExceededError extends ApiError {
+  constructor(quota, message, { limit, used, requested = 1 } = {}) {
+    super(429, message, { quota, limit, used, requested });
+    this.name = 'QuotaExceededError';
+  }
+}
+
+// Shape an error into the JSON body the routes return
+const toErrorBody = (error) => {
+  const body = { error: error.message };
+  if (error.details !== undefined) {
+    body.details = error.details;
+  }
+  return body;
+};
+
+module.exports = {
+  ApiError,
+  NotFoundError,
+  UnsupportedOperationError,
+  ProviderError,
+  InvalidTransitionError,
+  QuotaExceededError,
+  toErrorBody
+};
@@ -0,0 +1,16 @@
+// Parse a JSON text column, returning null for empty values and the raw
+// string for anything that is not valid JSON
+const parseJSON = (value) => {
+  if (!value) {
+    return null;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+module.exports = {
+  parseJSON
+};
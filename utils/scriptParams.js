@@ -0,0 +1,139 @@
+const Joi = require('joi');
+
+// Saved scripts declare their inputs as plain JSON, e.g.
+//   { "url": { "type": "url", "required": true },
+//     "username": { "type": "string", "default": "testuser" } }
+// which is stored in scripts.params_schema and turned into a Joi schema
+// when the script is run.
+const PARAM_TYPES = ['string', 'number', 'integer', 'boolean', 'url', 'email'];
+
+const MAX_PATTERN_LENGTH = 200;
+
+// Whether a quantified group itself contains a quantifier, e.g. (a+)+ or
+// (\w*)*. That shape can take exponential time to fail a match, and patterns
+// run against caller input on every run.
+const hasNestedQuantifier = (pattern) => {
+  // One entry per open group: whether a quantifier was seen inside it
+  const groups = [];
+  let inClass = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\') {
+      i++;
+    } else if (inClass) {
+      inClass = char !== ']';
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      groups.push(false);
+    } else if (char === ')') {
+      const quantified = groups.pop();
+      if (quantified && ['*', '+', '{'].includes(pattern[i + 1])) {
+        return true;
+      }
+      if (quantified && groups.length > 0) {
+        groups[groups.length - 1] = true;
+      }
+    } else if (['*', '+', '{'].includes(char) && groups.length > 0) {
+      groups[groups.length - 1] = true;
+    }
+  }
+  return false;
+};
+
+// Bad patterns are refused when the script is saved rather than failing
+// (or hanging) every run afterwards
+const compilablePattern = Joi.string().max(MAX_PATTERN_LENGTH).custom((value, helpers) => {
+  try {
+    new RegExp(value);
+  } catch (error) {
+    return helpers.message('{{#label}} is not a valid regular expression: {#reason}', { reason: error.message });
+  }
+  if (hasNestedQuantifier(value)) {
+    return helpers.message('{{#label}} must not repeat a group that already contains a quantifier');
+  }
+  return value;
+});
+
+const paramDefinitionSchema = Joi.object({
+  type: Joi.string().valid(...PARAM_TYPES).required(),
+  required: Joi.boolean().default(false),
+  default: Joi.any(),
+  description: Joi.string().max(500),
+  min: Joi.number(),
+  max: Joi.number(),
+  pattern: compilablePattern,
+  valid: Joi.array().min(1)
+});
+
+const paramsSchemaDefinition = Joi.object().pattern(
+  // Parameter names must be valid identifiers so scripts can read params.<name>
+  Joi.string().pattern(/^[A-Za-z_$][A-Za-z0-9_$]*$/),
+  paramDefinitionSchema
+);
+
+const baseSchemaFor = (type) => {
+  switch (type) {
+    case 'number':
+      return Joi.number();
+    case 'integer':
+      return Joi.number().integer();
+    case 'boolean':
+      return Joi.boolean();
+    case 'url':
+      return Joi.string().uri({ scheme: ['http', 'https'] });
+    case 'email':
+      return Joi.string().email();
+    default:
+      return Joi.string();
+  }
+};
+
+const buildParamsSchema = (definition = {}) => {
+  const keys = {};
+
+  Object.entries(definition || {}).forEach(([name, param]) => {
+    let schema = baseSchemaFor(param.type);
+
+    // min/max are lengths for strings and bounds for numbers; booleans have neither
+    if (param.min !== undefined && param.type !== 'boolean') {
+      schema = schema.min(param.min);
+    }
+    if (param.max !== undefined && param.type !== 'boolean') {
+      schema = schema.max(param.max);
+    }
+    if (param.pattern && param.type === 'string') {
+      schema = schema.pattern(new RegExp(param.pattern));
+    }
+    if (param.valid) {
+      schema = schema.valid(...param.valid);
+    }
+    if (param.default !== undefined) {
+      schema = schema.default(param.default);
+    } else if (param.required) {
+      schema = schema.required();
+    }
+
+    keys[name] = schema;
+  });
+
+  return Joi.object(keys);
+};
+
+// Make validated params available to the script as a `params` constant.
+// Scripts without a params_schema take no params and are left untouched, so
+// they can declare a `params` of their own.
+const injectParams = (script, params, definition) => {
+  if (!definition || Object.keys(definition).length === 0) {
+    return script;
+  }
+  return `const params = ${JSON.stringify(params || {})};\n${script}`;
+};
+
+module.exports = {
+  PARAM_TYPES,
+  paramsSchemaDefinition,
+  buildParamsSchema,
+  injectParams
+};